@@ -0,0 +1,397 @@
+// ============================================================
+// CALCULATION ENGINE — the one copy of the simulation formulas
+// Used by index.html (calculate / calculateInstallments), the proxy
+// (/api/calculate, /api/report, /api/county) and test_math.js.
+// Plain script in the browser (window.CALC_ENGINE, needs model.js first),
+// CommonJS module in Node.
+// ============================================================
+(function () {
+    const shared = typeof module !== 'undefined' && module.exports
+        ? require('./model')
+        : { MODEL, getTaxComponents }; // model.js globals
+    const DEFAULT_MODEL = shared.MODEL;
+    const componentsOf = shared.getTaxComponents;
+
+    const DEFAULT_TARGET_COLLECTION = 0.9;
+    const HORIZON_YEARS = 10;
+
+    // Low / base / high bands: the uplift working half as well, as expected, 1.5× as well
+    const BAND_SHARES = { low: 0.5, base: 1, high: 1.5 };
+
+    // IRR search range (per year); a project paying back within months can exceed it
+    const IRR_MAX = 10;
+    // Payback is searched past the horizon, up to this
+    const PAYBACK_MAX_YEARS = 50;
+
+    // Input limits (validateInputs, stored simulations): the largest UAT in uat_data.js
+    // has ~161.000 dwellings, the proxy's municipiu housing cap is 200.000
+    const MAX_HOUSES = 200000;
+    const MAX_PRICE_PER_IMOBIL = 1000; // RON, ~8× the standard price
+    const MAX_MONTHLY_RATE = 270000; // RON, one MAX_CONTRACT a month
+    // Hard stop for contractsFor(): the inputs above need at most ~750
+    const MAX_CONTRACTS = 1000;
+
+    // Keys included when nothing was chosen: the components marked defaultOn
+    function defaultComponents(financial) {
+        return componentsOf(financial).filter(c => c.defaultOn).map(c => c.key);
+    }
+
+    // Collection rate over the selected components: collected / planned, same codes and year.
+    // null when the proxy sent no `collection` (offline data has no planned amounts)
+    function collectionRateFor(collection, financial, selected) {
+        if (!collection) return null;
+        const sum = (f) => {
+            if (!f.components) return f.total;
+            return componentsOf({ ...financial, components: f.components })
+                .filter(c => selected.has(c.key))
+                .reduce((s, c) => s + c.amount, 0);
+        };
+        const planned = sum(collection.planned);
+        const collected = sum(collection.collected);
+        return planned > 0 ? collected / planned : null;
+    }
+
+    // One uplift factor → revenue after CartInspect, deltas, ROI and the simple payback.
+    // Only the inspected share (coverage) of the houses gets the uplift.
+    // simplePaybackYears = cost / deltaYear: no delivery time, installments or discounting.
+    // The payback shown and stored everywhere is cashFlow()'s, from contract signing.
+    function project(currentRevenue, cost, upliftFactor, coverage) {
+        const afterCartInspect = currentRevenue * (1 + (upliftFactor - 1) * coverage);
+        const deltaYear = afterCartInspect - currentRevenue;
+        const delta10Y = deltaYear * HORIZON_YEARS;
+        return {
+            upliftFactor, afterCartInspect, deltaYear, delta10Y,
+            roi10Y: cost > 0 ? (delta10Y - cost) / cost : 0,
+            simplePaybackYears: deltaYear > 0 ? cost / deltaYear : Infinity
+        };
+    }
+
+    // { currentRevenue, cost, upliftFactor, coverage? } → { low, base, high }, each a project() result.
+    // Exported so stored simulations (which keep only the base figures) get the same bands.
+    function scenarioBands({ currentRevenue, cost, upliftFactor, coverage = 1 }) {
+        const bands = {};
+        for (const [name, share] of Object.entries(BAND_SHARES)) {
+            bands[name] = project(currentRevenue, cost, 1 + (upliftFactor - 1) * share, coverage);
+        }
+        return bands;
+    }
+
+    // inputs: {
+    //   financial,             proxy `financial` (or the offline equivalent)
+    //   selectedComponents,    TAX_COMPONENTS keys in the simulation (default: defaultOn)
+    //   totalHouses, rang, tip,
+    //   collection,            proxy `collection` or null
+    //   targetCollectionRate   0..1; default 90%, never below today's rate
+    //   upliftFactor,          what-if: × current revenue after measuring (default model's)
+    //   pricePerImobil,        what-if: RON per inspected property (default model's)
+    //   coverage               what-if: share of houses inspected, 0..1 (default 1)
+    // }
+    // model: MODEL or a /api/model `params` object (default: bundled model.js values)
+    // Returns calculationResults (base figures + `bands`). Callers decide what to do when currentRevenue is 0
+    // (the calculator hides the results, /api/report answers 422).
+    function calculate(inputs, model = DEFAULT_MODEL) {
+        const financial = inputs.financial || null;
+        const selected = new Set(inputs.selectedComponents || defaultComponents(financial));
+
+        // 1. Current revenue = selected tax components from transparenta.eu
+        const taxComponents = componentsOf(financial)
+            .filter(c => selected.has(c.key))
+            .map(c => ({ key: c.key, code: c.code, label: c.label, amount: c.amount }));
+        const currentRevenue = taxComponents.reduce((s, c) => s + c.amount, 0);
+
+        // 2. Cost = inspected houses × price
+        const coverage = inputs.coverage ?? 1;
+        const totalHouses = inputs.totalHouses || 0;
+        const inspectedHouses = Math.round(totalHouses * coverage);
+        const pricePerImobil = inputs.pricePerImobil ?? model.PRICE_PER_IMOBIL;
+        const cost = inspectedHouses * pricePerImobil;
+
+        // 3. After CartInspect = current × 1.8 (+80%), deltas, ROI, simple payback — plus the low / high bands
+        const upliftFactor = inputs.upliftFactor ?? model.CARTINSPECT_FACTOR;
+        const bands = scenarioBands({ currentRevenue, cost, upliftFactor, coverage });
+        const { afterCartInspect, deltaYear, delta10Y, roi10Y, simplePaybackYears } = bands.base;
+
+        // 4. Collection improvement scenario (separate from the uplift, shown alongside)
+        //    Same assessed base, collected at the target rate instead of today's rate.
+        //    Default target = the calculator's slider start: 90%, or today's rate rounded up.
+        const collectionRate = collectionRateFor(inputs.collection, financial, selected);
+        const targetCollectionRate = collectionRate !== null
+            ? Math.max(collectionRate, inputs.targetCollectionRate ??
+                Math.max(DEFAULT_TARGET_COLLECTION, Math.min(1, Math.ceil(collectionRate * 100) / 100)))
+            : null;
+        const collectionFactor = collectionRate > 0 ? targetCollectionRate / collectionRate : 1;
+        const collectionGainYear = currentRevenue * (collectionFactor - 1);
+        const afterBoth = afterCartInspect * collectionFactor;
+
+        return {
+            totalHouses, rang: inputs.rang ?? null, tip: inputs.tip ?? null, taxComponents,
+            upliftFactor, pricePerImobil, coverage, inspectedHouses,
+            currentRevenue, afterCartInspect,
+            deltaYear, delta10Y,
+            cost, roi10Y, simplePaybackYears,
+            bands,
+            collectionRate, targetCollectionRate, collectionGainYear, afterBoth
+        };
+    }
+
+    // Cash flow of the commune's budget from contract signing, month by month:
+    //   in:  the surplus (deltaYear / 12) once the IMPLEMENTATION_MONTHS delivery is over,
+    //        indexed every year with INFLATION_RATE (local taxes follow the inflation index)
+    //   out: the installments of every contract, from signing, in nominal RON
+    // discounted at DISCOUNT_RATE per year. Versions stored before the rates existed
+    // use the bundled ones.
+    // Returns { discountRate, inflationRate,
+    //           years: [{ year, inflow, outflow, net, discountedNet, cumulative, cumulativeDiscounted }] (HORIZON_YEARS),
+    //           npv, irr (per year; null without both an outflow and an inflow, Infinity above IRR_MAX),
+    //           paybackYears, discountedPaybackYears (cumulative cash flow turns positive; Infinity if never) }
+    function cashFlow(deltaYear, contracts, model = DEFAULT_MODEL) {
+        const rate = (key) => model[key] ?? DEFAULT_MODEL[key];
+        const discountRate = rate('DISCOUNT_RATE');
+        const inflationRate = rate('INFLATION_RATE');
+        const implementationMonths = model.IMPLEMENTATION_MONTHS;
+        const horizonMonths = HORIZON_YEARS * 12;
+
+        const inflowOf = (m) => (m > implementationMonths && deltaYear > 0
+            ? deltaYear / 12 * Math.pow(1 + inflationRate, Math.floor((m - 1) / 12))
+            : 0);
+        const outflowOf = (m) => contracts.reduce((s, c) => s + (m <= c.months ? c.monthlyRate : 0), 0);
+        const discount = (r, m) => Math.pow(1 + r, -m / 12);
+
+        const months = [];
+        for (let m = 1; m <= horizonMonths; m++) {
+            const inflow = inflowOf(m);
+            const outflow = outflowOf(m);
+            months.push({ inflow, outflow, net: inflow - outflow, discountedNet: (inflow - outflow) * discount(discountRate, m) });
+        }
+
+        const years = [];
+        let cumulative = 0;
+        let cumulativeDiscounted = 0;
+        for (let y = 1; y <= HORIZON_YEARS; y++) {
+            const slice = months.slice((y - 1) * 12, y * 12);
+            const sum = (field) => slice.reduce((s, m) => s + m[field], 0);
+            const row = { year: y, inflow: sum('inflow'), outflow: sum('outflow'), net: sum('net'), discountedNet: sum('discountedNet') };
+            cumulative += row.net;
+            cumulativeDiscounted += row.discountedNet;
+            years.push({ ...row, cumulative, cumulativeDiscounted });
+        }
+
+        // Net flows only grow (installments end, the surplus starts and is indexed),
+        // so the cumulative sum turns positive at most once: interpolate inside that month
+        const paybackOf = (discounted) => {
+            let total = 0;
+            for (let m = 1; m <= PAYBACK_MAX_YEARS * 12; m++) {
+                const net = inflowOf(m) - outflowOf(m);
+                const flow = discounted ? net * discount(discountRate, m) : net;
+                if (total + flow >= 0 && flow > 0) return total >= 0 ? 0 : (m - 1 - total / flow) / 12;
+                total += flow;
+            }
+            return Infinity;
+        };
+
+        // Same timing as the NPV, so npvAt(irr) = 0
+        const npvAt = (r) => months.reduce((s, m, i) => s + m.net * discount(r, i + 1), 0);
+        let irr = null;
+        if (months.some(m => m.net < 0) && months.some(m => m.net > 0)) {
+            if (npvAt(IRR_MAX) >= 0) {
+                irr = Infinity;
+            } else if (npvAt(-0.99) > 0) {
+                let low = -0.99;
+                let high = IRR_MAX;
+                for (let i = 0; i < 100 && high - low > 1e-7; i++) {
+                    const mid = (low + high) / 2;
+                    if (npvAt(mid) > 0) low = mid; else high = mid;
+                }
+                irr = (low + high) / 2;
+            }
+        }
+
+        return {
+            discountRate, inflationRate, years,
+            npv: cumulativeDiscounted,
+            irr,
+            paybackYears: paybackOf(false),
+            discountedPaybackYears: paybackOf(true)
+        };
+    }
+
+    // The cost split into contracts of at most MAX_CONTRACT, each paying monthlyRate.
+    // Throws a RangeError past MAX_CONTRACTS rather than building an unbounded list
+    function contractsFor(cost, monthlyRate, model = DEFAULT_MODEL) {
+        if (cost / model.MAX_CONTRACT > MAX_CONTRACTS) {
+            throw new RangeError(`cost needs more than ${MAX_CONTRACTS} contracts`);
+        }
+        const contracts = [];
+        let remaining = cost;
+        while (remaining > 0) {
+            const value = Math.min(remaining, model.MAX_CONTRACT);
+            const months = Math.ceil(value / monthlyRate);
+            contracts.push({ value, monthlyRate, months, totalPaid: months * monthlyRate });
+            remaining -= value;
+        }
+        return contracts;
+    }
+
+    // Installment plan for calculationResults at a monthly rate (RON).
+    // The contracts (contractsFor) run in parallel, so the commune pays
+    // contracts × monthlyRate per month.
+    // Payback, 10-year surplus, NPV and IRR come from the plan's cashFlow().
+    function calculateInstallments(results, monthlyRate, model = DEFAULT_MODEL) {
+        const contracts = contractsFor(results.cost, monthlyRate, model);
+
+        const totalMonthlyPayment = contracts.length * monthlyRate;
+        const longestMonths = contracts.length ? Math.max(...contracts.map(c => c.months)) : 0;
+        const totalCost = contracts.reduce((s, c) => s + c.totalPaid, 0);
+
+        // Annual view (how a mayor thinks): surplus vs. installments
+        const annualSurplus = results.deltaYear;
+        const annualInstallment = totalMonthlyPayment * 12;
+
+        // From contract signing: the commune's cumulative cash flow turns positive
+        const flow = cashFlow(annualSurplus, contracts, model);
+        const surplus10Y = flow.years.reduce((s, y) => s + y.inflow, 0);
+
+        return {
+            contracts, monthlyRate, totalMonthlyPayment, longestMonths, totalCost,
+            deltaMonth: results.deltaYear / 12,
+            annualSurplus, annualInstallment,
+            surplusCoversPayment: annualSurplus >= annualInstallment,
+            breakevenYears: flow.paybackYears,
+            surplus10Y,
+            netGain10Y: surplus10Y - totalCost,
+            cashFlow: flow
+        };
+    }
+
+    // cashFlow() of the low / base / high bands at the same monthly rate → { low, base, high }
+    function bandCashFlows(results, monthlyRate, model = DEFAULT_MODEL) {
+        const flows = {};
+        for (const [name, band] of Object.entries(results.bands)) {
+            flows[name] = calculateInstallments({ cost: results.cost, deltaYear: band.deltaYear }, monthlyRate, model).cashFlow;
+        }
+        return flows;
+    }
+
+    // Sensitivity of the business case: each driver moved ±spread around its current value,
+    // the others fixed. Metrics: the 10-year ROI and the payback from contract signing
+    // (installment plan break-even — the only one the monthly rate moves).
+    const SENSITIVITY_SPREAD = 0.2;
+    const SENSITIVITY_INPUTS = {
+        upliftFactor: 'Factor creștere încasări',
+        currentRevenue: 'Încasări actuale',
+        totalHouses: 'Număr locuințe',
+        pricePerImobil: 'Preț per imobil',
+        monthlyRate: 'Rată lunară'
+    };
+
+    // results: calculationResults; model: for the defaults older results lack and MAX_CONTRACT.
+    // Returns { spread, base: { roi10Y, paybackYears },
+    //           roi10Y: [driver], paybackYears: [driver] } — each list widest swing first;
+    //   driver: { input, label, lowValue, highValue, low, high (metric at lowValue / highValue), swing }
+    function sensitivity(results, monthlyRate, model = DEFAULT_MODEL, spread = SENSITIVITY_SPREAD) {
+        const coverage = results.coverage ?? 1;
+        const base = {
+            upliftFactor: results.upliftFactor ?? model.CARTINSPECT_FACTOR,
+            currentRevenue: results.currentRevenue,
+            totalHouses: results.totalHouses,
+            pricePerImobil: results.pricePerImobil ?? model.PRICE_PER_IMOBIL,
+            monthlyRate
+        };
+        const evaluate = (v) => {
+            const cost = Math.round(v.totalHouses * coverage) * v.pricePerImobil;
+            const p = project(v.currentRevenue, cost, v.upliftFactor, coverage);
+            const plan = calculateInstallments({ cost, deltaYear: p.deltaYear }, v.monthlyRate, model);
+            return { roi10Y: p.roi10Y, paybackYears: plan.breakevenYears };
+        };
+        // A factor below 1 would mean CartInspect lowers revenue
+        const moved = (input, k) => input === 'upliftFactor' ? Math.max(1, base[input] * k) : base[input] * k;
+        // Infinity (no surplus) on one side only counts as the widest swing
+        const swingOf = (a, b) => (a === b ? 0 : isFinite(a) && isFinite(b) ? Math.abs(a - b) : Infinity);
+
+        const runs = Object.keys(SENSITIVITY_INPUTS).map(input => {
+            const lowValue = moved(input, 1 - spread);
+            const highValue = moved(input, 1 + spread);
+            return {
+                input, lowValue, highValue,
+                low: evaluate({ ...base, [input]: lowValue }),
+                high: evaluate({ ...base, [input]: highValue })
+            };
+        });
+        const ranked = (metric) => runs
+            .map(run => ({
+                input: run.input, label: SENSITIVITY_INPUTS[run.input],
+                lowValue: run.lowValue, highValue: run.highValue,
+                low: run.low[metric], high: run.high[metric],
+                swing: swingOf(run.low[metric], run.high[metric])
+            }))
+            .sort((a, b) => b.swing - a.swing);
+
+        return { spread, base: evaluate(base), roi10Y: ranked('roi10Y'), paybackYears: ranked('paybackYears') };
+    }
+
+    // UATs pitched together (the calculator's comparison table / PDF), as one project:
+    // rows carry the calculationResults fields and the monthlyRate of their installments.
+    // Sums over all rows; ROI, tax per house and the cash flow (every row's contracts
+    // against their summed surplus: paybackYears, npv, irr) only over the UATs with a
+    // housing count (no count → no cost), null when there is none
+    function comparisonTotals(rows, model = DEFAULT_MODEL) {
+        const sum = (list, field) => list.reduce((s, r) => s + (r[field] || 0), 0);
+        const priced = rows.filter(r => r.totalHouses > 0);
+        const cost = sum(priced, 'cost');
+        const flow = cost > 0
+            ? cashFlow(sum(priced, 'deltaYear'), priced.flatMap(r => contractsFor(r.cost, r.monthlyRate, model)), model)
+            : null;
+        return {
+            uats: rows.length,
+            totalHouses: sum(rows, 'totalHouses'),
+            currentRevenue: sum(rows, 'currentRevenue'),
+            afterCartInspect: sum(rows, 'afterCartInspect'),
+            deltaYear: sum(rows, 'deltaYear'),
+            delta10Y: sum(rows, 'delta10Y'),
+            cost,
+            roi10Y: cost > 0 ? (sum(priced, 'delta10Y') - cost) / cost : null,
+            paybackYears: flow ? flow.paybackYears : null,
+            npv: flow ? flow.npv : null,
+            irr: flow ? flow.irr : null,
+            taxPerHouse: priced.length ? sum(priced, 'currentRevenue') / sum(priced, 'totalHouses') : null
+        };
+    }
+
+    // Request body of /api/calculate → error message or null
+    function validateInputs(inputs) {
+        if (!inputs || typeof inputs !== 'object') return 'body must be an object';
+        if (!inputs.financial || typeof inputs.financial !== 'object') return 'financial is required';
+        const isAmount = (v) => v === undefined || (typeof v === 'number' && v >= 0 && isFinite(v));
+        if (!isAmount(inputs.totalHouses) || inputs.totalHouses > MAX_HOUSES) {
+            return `totalHouses must be between 0 and ${MAX_HOUSES}`;
+        }
+        if (inputs.selectedComponents !== undefined && !Array.isArray(inputs.selectedComponents)) {
+            return 'selectedComponents must be an array of component keys';
+        }
+        if (inputs.upliftFactor !== undefined && !(typeof inputs.upliftFactor === 'number' && inputs.upliftFactor >= 1 && inputs.upliftFactor <= 5)) {
+            return 'upliftFactor must be between 1 and 5';
+        }
+        if (inputs.pricePerImobil !== undefined && !(typeof inputs.pricePerImobil === 'number' && inputs.pricePerImobil > 0 && inputs.pricePerImobil <= MAX_PRICE_PER_IMOBIL)) {
+            return `pricePerImobil must be a positive number up to ${MAX_PRICE_PER_IMOBIL}`;
+        }
+        if (inputs.coverage !== undefined && !(typeof inputs.coverage === 'number' && inputs.coverage > 0 && inputs.coverage <= 1)) {
+            return 'coverage must be between 0 (exclusive) and 1';
+        }
+        const rate = inputs.targetCollectionRate;
+        if (rate !== undefined && !(typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+            return 'targetCollectionRate must be between 0 and 1';
+        }
+        if (inputs.monthlyRate !== undefined && !(typeof inputs.monthlyRate === 'number' && inputs.monthlyRate > 0 && inputs.monthlyRate <= MAX_MONTHLY_RATE)) {
+            return `monthlyRate must be a positive number up to ${MAX_MONTHLY_RATE}`;
+        }
+        return null;
+    }
+
+    const CALC_ENGINE = {
+        bandCashFlows, calculate, calculateInstallments, cashFlow, collectionRateFor, comparisonTotals, contractsFor, defaultComponents,
+        scenarioBands, sensitivity, validateInputs, DEFAULT_TARGET_COLLECTION, BAND_SHARES, IRR_MAX, SENSITIVITY_SPREAD,
+        MAX_HOUSES, MAX_PRICE_PER_IMOBIL, MAX_MONTHLY_RATE, MAX_CONTRACTS
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = CALC_ENGINE;
+    else window.CALC_ENGINE = CALC_ENGINE;
+})();
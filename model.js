@@ -0,0 +1,58 @@
+// ============================================================
+// MODEL CONSTANTS — shared by index.html and the proxy
+// Bundled defaults: the proxy serves the versioned values (/api/model, seeded
+// from these), the calculator falls back to them when it never reached the proxy.
+// Plain globals in the browser, CommonJS exports in Node.
+// ============================================================
+const MODEL = {
+    PRICE_PER_IMOBIL: 130,       // RON per imobil
+    CARTINSPECT_FACTOR: 1.8,     // +80% from CartInspect measurement
+    MAX_CONTRACT: 270000,        // RON, Romanian public procurement direct limit
+    IMPLEMENTATION_MONTHS: 6,    // project delivery, no surplus yet
+    DISCOUNT_RATE: 0.05,         // per year, for NPV / discounted payback
+    INFLATION_RATE: 0.03         // per year, local taxes are indexed with it
+};
+
+// Local property-tax components (proxy `financial.components`, by functional code).
+// defaultOn = included in the simulation when a UAT is loaded.
+const TAX_COMPONENTS = [
+    { key: 'cladiriFizice', code: '07.01.01', label: 'Clădiri — persoane fizice', defaultOn: true },
+    { key: 'cladiriJuridice', code: '07.01.02', label: 'Clădiri — persoane juridice', defaultOn: false },
+    { key: 'terenuriFizice', code: '07.02.01', label: 'Terenuri intravilan — persoane fizice', defaultOn: true },
+    { key: 'terenuriJuridice', code: '07.02.02', label: 'Terenuri intravilan — persoane juridice', defaultOn: true },
+    { key: 'terenuriExtravilan', code: '07.02.03', label: 'Terenuri extravilan', defaultOn: true }
+];
+
+// Public investment examples (realistic Romanian prices)
+const INVESTMENTS = [
+    { name: 'm² clădire finisată (la cheie)', cost: 5000, icon: '🏗️' },
+    { name: 'loc de joacă modernizat', cost: 500000, icon: '🛝' },
+    { name: 'ml drum pietruit (4m lățime)', cost: 200, icon: '🪨' },
+    { name: 'm² renovare clădire publică', cost: 2500, icon: '🏫' },
+    { name: 'bancă parc instalată', cost: 5000, icon: '🪑' },
+    { name: 'loc de parcare amenajat', cost: 375, icon: '🅿️' }
+];
+
+// Tax components present in a proxy `financial` object, with amounts.
+// Offline data (and older proxy responses) only know 07.01.01 and the lumped 07.02
+function getTaxComponents(financial) {
+    if (!financial) return [];
+    if (!financial.components) {
+        return [
+            { key: 'cladiriFizice', code: '07.01.01', label: 'Clădiri — persoane fizice', defaultOn: true, amount: financial.impozitCladiriFizice || 0 },
+            { key: 'terenuri', code: '07.02', label: 'Terenuri (total)', defaultOn: true, amount: financial.impozitTerenuri || 0 }
+        ].filter(c => c.amount > 0);
+    }
+    const list = TAX_COMPONENTS.map(c => ({ ...c, amount: financial.components[c.key] || 0 }));
+    // 07.02.* sub-codes outside the known list still count, as they did in impozitTerenuri
+    const knownLand = list.filter(c => c.code.startsWith('07.02')).reduce((s, c) => s + c.amount, 0);
+    const otherLand = (financial.impozitTerenuri || 0) - knownLand;
+    if (otherLand > 0.5) {
+        list.push({ key: 'terenuriAlte', code: '07.02.xx', label: 'Terenuri — alte subcoduri', defaultOn: true, amount: otherLand });
+    }
+    return list.filter(c => c.amount > 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MODEL, TAX_COMPONENTS, INVESTMENTS, getTaxComponents };
+}
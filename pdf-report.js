@@ -0,0 +1,744 @@
+// ============================================================
+// PDF REPORT LAYOUT (Roboto font + Visoro logo)
+// One layout for generatePDF() in index.html and the proxy's /api/report,
+// so both produce the same A4 document.
+// Plain script in the browser (window.PDF_REPORT, needs calc-engine.js first),
+// CommonJS module in Node.
+// ============================================================
+(function () {
+    const engine = typeof module !== 'undefined' && module.exports
+        ? require('./calc-engine')
+        : CALC_ENGINE; // calc-engine.js global
+
+    function formatRON(value) {
+        return new Intl.NumberFormat('ro-RO', { maximumFractionDigits: 0 }).format(Math.round(value)) + ' RON';
+    }
+
+    // Under a year in months; no surplus (Infinity), nothing to compute (null) or
+    // nothing to pay back (0, a plan without cost) → no payback
+    function formatPayback(years) {
+        if (!Number.isFinite(years) || years <= 0) return '-';
+        if (years >= 1) return years.toFixed(1) + ' ani';
+        const months = Math.max(1, Math.round(years * 12));
+        return months + (months === 1 ? ' lună' : ' luni');
+    }
+
+    // cashFlow() IRR: null → none, Infinity → above IRR_MAX
+    function formatIrr(irr) {
+        if (irr === null) return '-';
+        return isFinite(irr) ? Math.round(irr * 100) + '%' : '> ' + engine.IRR_MAX * 100 + '%';
+    }
+
+    function formatRate(rate) {
+        return String(Math.round(rate * 1000) / 10).replace('.', ',') + '%/an';
+    }
+
+    // doc: jsPDF('p', 'mm', 'a4')
+    // report: { results (calculationResults), agentName, county, communeName, date,
+    //           model: { version, params } — the model version the simulation was made with,
+    //           cashFlow — CALC_ENGINE.bandCashFlows() at the installment rate; payback, NPV and page 2,
+    //           sensitivity? — CALC_ENGINE.sensitivity(); adds the tornado page }
+    // assets: { registerFonts, logo } — registerRobotoFonts / LOGO_B64 from roboto-fonts.js
+    function drawReport(doc, report, assets) {
+        const r = report.results;
+        const agentName = report.agentName || 'N/A';
+        const county = report.county || 'N/A';
+        const communeName = report.communeName || 'N/A';
+        const today = report.date;
+        const params = report.model.params;
+        // Scenario values; records made before the what-if controls carry none
+        const upliftFactor = r.upliftFactor ?? params.CARTINSPECT_FACTOR;
+        const pricePerImobil = r.pricePerImobil ?? params.PRICE_PER_IMOBIL;
+        const coverage = r.coverage ?? 1;
+
+        const pageW = 210;
+        const margin = 15;
+        const contentW = pageW - 2 * margin;
+
+        assets.registerFonts(doc);
+
+        const primary = [26, 54, 93];
+        const accent = [229, 62, 62];
+        const success = [56, 161, 105];
+        const textColor = [26, 32, 44];
+        const gray = [74, 85, 104];
+        const gold = [196, 164, 52];
+        const blue = [49, 130, 206];
+
+        let y = 0;
+
+        drawHeader(doc, assets.logo, 'Calculator Impact Bugetar', 'Data: ' + today + '  |  Agent: ' + agentName);
+
+        y = 46;
+
+        // ========= DATE ADMINISTRATIVE =========
+        doc.setTextColor(...primary);
+        doc.setFontSize(12);
+        doc.setFont('Roboto', 'bold');
+        doc.text('DATE ADMINISTRATIVE', margin, y);
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.6);
+        doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+
+        y += 10;
+
+        doc.setFontSize(10);
+        var tipLabel = r.tip ? r.tip.charAt(0).toUpperCase() + r.tip.slice(1) : '';
+        var adminRows = [
+            ['Jude\u021b:', county],
+            ['UAT:', communeName + (tipLabel ? ' (' + tipLabel + ')' : '')],
+            ['Rang localitate:', 'Rang ' + r.rang],
+            ['Locuin\u021be existente:', r.totalHouses.toLocaleString('ro-RO')],
+            ['Componente impozit:', r.taxComponents.map(function (c) { return c.code; }).join(', ')]
+        ];
+        if (r.collectionRate !== null) {
+            adminRows.push(['Grad de colectare:', Math.round(r.collectionRate * 100) + '% (\u021bint\u0103 ' +
+                Math.round(r.targetCollectionRate * 100) + '%: + ' + formatRON(r.collectionGainYear) + '/an)']);
+        }
+
+        adminRows.forEach(function (row) {
+            doc.setFont('Roboto', 'normal');
+            doc.setTextColor(...gray);
+            doc.text(row[0], margin, y);
+            doc.setFont('Roboto', 'bold');
+            doc.setTextColor(...textColor);
+            doc.text(String(row[1]), margin + 55, y);
+            y += 7;
+        });
+
+        y += 8;
+
+        // ========= REZULTATE SIMULARE =========
+        doc.setTextColor(...primary);
+        doc.setFontSize(12);
+        doc.setFont('Roboto', 'bold');
+        doc.text('REZULTATE SIMULARE', margin, y);
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.6);
+        doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+        y += 10;
+
+        var boxW = (contentW - 8) / 3;
+        var boxH = 22;
+
+        // Current (red) | After CartInspect (green) | 10Y impact (dark) — base scenario
+        var boxes = [
+            { label: '\u00CEncasare anual\u0103 actual\u0103:', value: formatRON(r.currentRevenue), fill: [255, 245, 245], draw: [254, 215, 215], labelColor: accent, color: accent },
+            { label: '\u00CEncasare dup\u0103 CartInspect:', value: formatRON(r.afterCartInspect), fill: [240, 255, 244], draw: [198, 246, 213], labelColor: success, color: success },
+            { label: 'IMPACT PE 10 ANI:', value: '+ ' + formatRON(r.delta10Y), fill: primary, draw: primary, labelColor: [255, 255, 255], color: [104, 211, 145] }
+        ];
+        boxes.forEach(function (box, i) {
+            var bx = margin + i * (boxW + 4);
+            doc.setFillColor(...box.fill);
+            doc.setDrawColor(...box.draw);
+            doc.roundedRect(bx, y, boxW, boxH, 2, 2, 'FD');
+            doc.setTextColor(...box.labelColor);
+            doc.setFontSize(9);
+            doc.setFont('Roboto', 'normal');
+            doc.text(box.label, bx + 4, y + 7);
+            doc.setTextColor(...box.color);
+            doc.setFontSize(14);
+            doc.setFont('Roboto', 'bold');
+            doc.text(box.value, bx + 4, y + 17);
+        });
+
+        y += boxH + 8;
+
+        // Low / base / high bands — one column each, the base one highlighted
+        var bands = [r.bands.low, r.bands.base, r.bands.high];
+        var flows = [report.cashFlow.low, report.cashFlow.base, report.cashFlow.high];
+        var labelW = 56;
+        var bandW = (contentW - labelW) / 3;
+        var rowH = 6;
+        var bandRows = [
+            ['\u00CEncasare anual\u0103 dup\u0103 CartInspect', function (b) { return formatRON(b.afterCartInspect); }],
+            ['Diferen\u021b\u0103 anual\u0103', function (b) { return '+ ' + formatRON(b.deltaYear); }],
+            ['Impact pe 10 ani', function (b) { return '+ ' + formatRON(b.delta10Y); }],
+            ['ROI pe 10 ani', function (b) { return Math.round(b.roi10Y * 100) + '%'; }],
+            ['Recuperare (flux de numerar)', function (b, flow) { return formatPayback(flow.paybackYears); }]
+        ];
+
+        doc.setFillColor(255, 250, 235);
+        doc.rect(margin + labelW + bandW, y - 4.5, bandW, rowH * (bandRows.length + 1) + 1, 'F');
+        doc.setFontSize(9);
+        doc.setFont('Roboto', 'bold');
+        doc.setTextColor(...primary);
+        doc.text('Scenariu', margin, y);
+        ['Prudent', 'De baz\u0103', 'Optimist'].forEach(function (name, i) {
+            doc.text(name + ' (\u00d7' + bands[i].upliftFactor.toFixed(2).replace('.', ',') + ')',
+                margin + labelW + (i + 1) * bandW - 3, y, { align: 'right' });
+        });
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.3);
+        doc.line(margin, y + 2, margin + contentW, y + 2);
+        y += rowH + 0.5;
+
+        bandRows.forEach(function (row) {
+            doc.setFont('Roboto', 'normal');
+            doc.setTextColor(...gray);
+            doc.text(row[0], margin, y);
+            bands.forEach(function (band, i) {
+                doc.setFont('Roboto', i === 1 ? 'bold' : 'normal');
+                doc.setTextColor(...textColor);
+                doc.text(row[1](band, flows[i]), margin + labelW + (i + 1) * bandW - 3, y, { align: 'right' });
+            });
+            y += rowH;
+        });
+
+        y += 6;
+
+        // ========= COST & ROI (left) + SURPLUS (right) =========
+        var colLeft = margin;
+        var colRight = margin + contentW / 2 + 4;
+        var colW = contentW / 2 - 4;
+
+        doc.setTextColor(...primary);
+        doc.setFontSize(11);
+        doc.setFont('Roboto', 'bold');
+        doc.text('COST \u0218I RECUPERARE', colLeft, y);
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.5);
+        doc.line(colLeft, y + 2.5, colLeft + colW, y + 2.5);
+
+        doc.text('CE SE POATE REALIZA DIN SURPLUS', colRight, y);
+        doc.line(colRight, y + 2.5, colRight + colW, y + 2.5);
+
+        y += 9;
+
+        // ROI data – left
+        doc.setFontSize(9.5);
+        var roiY = y;
+        var roiRows = [
+            ['Cost proiect:', formatRON(r.cost)],
+            ['ROI pe 10 ani:', Math.round(r.roi10Y * 100) + '%'],
+            ['VAN 10 ani:', formatRON(report.cashFlow.base.npv)],
+            ['Recuperare:', formatPayback(report.cashFlow.base.paybackYears)]
+        ];
+        roiRows.forEach(function (row) {
+            doc.setFont('Roboto', 'normal');
+            doc.setTextColor(...gray);
+            doc.text(row[0], colLeft, roiY);
+            doc.setFont('Roboto', 'bold');
+            doc.setTextColor(...textColor);
+            doc.text(row[1], colLeft + 35, roiY);
+            roiY += 7;
+        });
+
+        // Surplus – right
+        doc.setFontSize(9);
+        doc.setFont('Roboto', 'normal');
+        doc.setTextColor(...textColor);
+        var surplusY = y;
+        params.INVESTMENTS.forEach(function (inv) {
+            var count = r.deltaYear / inv.cost;
+            if (count >= 0.1) {
+                var displayCount = count >= 1 ? count.toFixed(1) : count.toFixed(2);
+                doc.text('\u2022 ~' + displayCount + ' ' + inv.name + '/an', colRight, surplusY);
+                surplusY += 6;
+            }
+        });
+
+        // ========= IPOTEZE SIMULARE =========
+        // What the numbers assume, and whether the agent moved away from the model's values
+        y = Math.max(roiY, surplusY) + 6;
+        doc.setTextColor(...primary);
+        doc.setFontSize(11);
+        doc.setFont('Roboto', 'bold');
+        doc.text('IPOTEZE SIMULARE', margin, y);
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.5);
+        doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+        y += 9;
+
+        var isStandard = upliftFactor === params.CARTINSPECT_FACTOR &&
+            pricePerImobil === params.PRICE_PER_IMOBIL && coverage === 1;
+        var modelLabel = report.model.version ? 'model v' + report.model.version : 'model implicit';
+        var inspectedHouses = r.inspectedHouses ?? r.totalHouses;
+        var assumptionRows = [
+            ['Cre\u0219tere \u00eencas\u0103ri:', '+' + Math.round((upliftFactor - 1) * 100) + '% pe imobilele inspectate'],
+            ['Pre\u021b / imobil:', formatRON(pricePerImobil)],
+            ['Imobile inspectate:', Math.round(coverage * 100) + '% (' + inspectedHouses.toLocaleString('ro-RO') +
+                ' din ' + r.totalHouses.toLocaleString('ro-RO') + ')'],
+            ['Scenariu:', isStandard
+                ? 'Valori standard (' + modelLabel + ')'
+                : 'Personalizat \u2014 standard: +' + Math.round((params.CARTINSPECT_FACTOR - 1) * 100) + '%, ' +
+                    formatRON(params.PRICE_PER_IMOBIL) + '/imobil, 100% (' + modelLabel + ')']
+        ];
+        doc.setFontSize(9.5);
+        assumptionRows.forEach(function (row) {
+            doc.setFont('Roboto', 'normal');
+            doc.setTextColor(...gray);
+            doc.text(row[0], margin, y);
+            doc.setFont('Roboto', 'bold');
+            doc.setTextColor(...(row[0] === 'Scenariu:' && !isStandard ? accent : textColor));
+            doc.text(row[1], margin + 40, y);
+            y += 6;
+        });
+
+        // ========= FOOTER =========
+        drawFooter(doc, assets.logo, pageW, margin, primary, gray);
+
+        doc.addPage();
+        drawCashFlowPage(doc, report, assets.logo, { primary, success, accent, gray, textColor });
+
+        if (report.sensitivity) {
+            doc.addPage();
+            drawSensitivityPage(doc, report, assets.logo, { primary, gold, gray, textColor });
+        }
+        return doc;
+    }
+
+    function formatDriverValue(input, value) {
+        if (input === 'upliftFactor') return '\u00d7' + value.toFixed(2).replace('.', ',');
+        if (input === 'totalHouses') return Math.round(value).toLocaleString('ro-RO');
+        if (input === 'monthlyRate') return formatRON(value) + '/lun\u0103';
+        return formatRON(value);
+    }
+
+    // ========= PAGE 2: FLUX DE NUMERAR =========
+    // The calculator's cash-flow card: year by year from contract signing, NPV / IRR
+    function drawCashFlowPage(doc, report, logo, colors) {
+        const flow = report.cashFlow.base;
+        const params = report.model.params;
+        const pageW = 210;
+        const margin = 15;
+        const contentW = pageW - 2 * margin;
+        const amount = function (v) { return new Intl.NumberFormat('ro-RO', { maximumFractionDigits: 0 }).format(Math.round(v)); };
+
+        drawPageTitle(doc, 'FLUX DE NUMERAR PE 10 ANI', (report.communeName || 'N/A') + ', ' + (report.county || 'N/A'), colors);
+
+        let y = 32;
+        doc.setFont('Roboto', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...colors.gray);
+        doc.text(doc.splitTextToSize('Bugetul local de la semnarea contractului: ratele contractelor de la prima lun\u0103, ' +
+            'surplusul dup\u0103 ' + params.IMPLEMENTATION_MONTHS + ' luni de implementare, indexat anual cu infla\u021bia (' +
+            formatRate(flow.inflationRate) + '). VAN = valoarea actualizat\u0103 net\u0103 (rat\u0103 de actualizare ' +
+            formatRate(flow.discountRate) + '), RIR = rata intern\u0103 de rentabilitate.', contentW), margin, y);
+        y += 14;
+
+        const boxW = (contentW - 12) / 4;
+        const boxes = [
+            ['VAN (10 ani)', formatRON(flow.npv), flow.npv >= 0 ? colors.success : colors.accent],
+            ['RIR (rat\u0103 intern\u0103)', formatIrr(flow.irr), colors.primary],
+            ['Recuperare', formatPayback(flow.paybackYears), colors.primary],
+            ['Recuperare actualizat\u0103', formatPayback(flow.discountedPaybackYears), colors.primary]
+        ];
+        boxes.forEach(function (box, i) {
+            const bx = margin + i * (boxW + 4);
+            doc.setFillColor(245, 247, 250);
+            doc.setDrawColor(226, 232, 240);
+            doc.roundedRect(bx, y, boxW, 18, 2, 2, 'FD');
+            doc.setFont('Roboto', 'normal');
+            doc.setFontSize(7);
+            doc.setTextColor(...colors.gray);
+            doc.text(box[0], bx + 3, y + 6);
+            doc.setFont('Roboto', 'bold');
+            doc.setFontSize(11);
+            doc.setTextColor(...box[2]);
+            doc.text(box[1], bx + 3, y + 14);
+        });
+        y += 28;
+
+        doc.setTextColor(...colors.primary);
+        doc.setFontSize(11);
+        doc.setFont('Roboto', 'bold');
+        doc.text('FLUX ANUAL', margin, y);
+        doc.setFontSize(8);
+        doc.setFont('Roboto', 'normal');
+        doc.setTextColor(...colors.gray);
+        doc.text('sume \u00een RON', margin + contentW, y, { align: 'right' });
+        doc.setDrawColor(...colors.primary);
+        doc.setLineWidth(0.5);
+        doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+        y += 9;
+
+        const columns = [
+            ['An', 12, function (row) { return String(row.year); }],
+            ['\u00cencas\u0103ri suplimentare', 30, function (row) { return amount(row.inflow); }],
+            ['Rate', 24, function (row) { return row.outflow ? '\u2212' + amount(row.outflow) : '0'; }],
+            ['Flux net', 28, function (row) { return amount(row.net); }],
+            ['Flux net actualizat', 30, function (row) { return amount(row.discountedNet); }],
+            ['Cumulat', 28, function (row) { return amount(row.cumulative); }],
+            ['Cumulat actualizat', 28, function (row) { return amount(row.cumulativeDiscounted); }]
+        ];
+        // Year left-aligned, amounts right-aligned at the column's right edge
+        const drawRow = function (cells) {
+            let x = margin;
+            columns.forEach(function (col, i) {
+                if (i === 0) doc.text(cells[i], x, y);
+                else doc.text(cells[i], x + col[1], y, { align: 'right' });
+                x += col[1];
+            });
+        };
+
+        doc.setFontSize(7.5);
+        doc.setFont('Roboto', 'bold');
+        doc.setTextColor(...colors.primary);
+        drawRow(columns.map(function (col) { return col[0]; }));
+        y += 2;
+        doc.setLineWidth(0.3);
+        doc.line(margin, y, margin + contentW, y);
+        y += 4.5;
+
+        doc.setFontSize(8);
+        flow.years.forEach(function (row, i) {
+            if (i % 2 === 1) {
+                doc.setFillColor(245, 247, 250);
+                doc.rect(margin, y - 4.3, contentW, 6.2, 'F');
+            }
+            doc.setFont('Roboto', 'normal');
+            doc.setTextColor(...colors.textColor);
+            drawRow(columns.map(function (col) { return col[2](row); }));
+            y += 6.2;
+        });
+
+        const sum = function (field) { return flow.years.reduce(function (s, row) { return s + row[field]; }, 0); };
+        const last = flow.years[flow.years.length - 1];
+        doc.setDrawColor(...colors.primary);
+        doc.line(margin, y - 4, margin + contentW, y - 4);
+        y += 1;
+        doc.setFont('Roboto', 'bold');
+        doc.setTextColor(...colors.primary);
+        drawRow(['Total', amount(sum('inflow')), '\u2212' + amount(sum('outflow')), amount(sum('net')),
+            amount(sum('discountedNet')), amount(last.cumulative), amount(last.cumulativeDiscounted)]);
+        y += 10;
+
+        // Prudent / optimist bands, same rates and installments
+        const low = report.cashFlow.low, high = report.cashFlow.high;
+        doc.setFont('Roboto', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...colors.gray);
+        doc.text(doc.splitTextToSize('Prudent \u2013 optimist: VAN ' + formatRON(low.npv) + ' \u2013 ' + formatRON(high.npv) +
+            ', recuperare ' + formatPayback(low.paybackYears) + ' \u2013 ' + formatPayback(high.paybackYears) + '.', contentW), margin, y);
+
+        drawFooter(doc, logo, pageW, margin, colors.primary, colors.gray);
+    }
+
+    // ========= PAGE 3: ANALIZĂ DE SENZITIVITATE =========
+    // The calculator's tornado charts: which assumption the business case hinges on
+    function drawSensitivityPage(doc, report, logo, colors) {
+        const s = report.sensitivity;
+        const pageW = 210;
+        const margin = 15;
+        const contentW = pageW - 2 * margin;
+        const pct = Math.round(s.spread * 100);
+        const lowColor = [59, 130, 246];
+        const highColor = colors.gold;
+
+        drawPageTitle(doc, 'ANALIZ\u0102 DE SENZITIVITATE', (report.communeName || 'N/A') + ', ' + (report.county || 'N/A'), colors);
+
+        let y = 32;
+        doc.setFontSize(9);
+        doc.setTextColor(...colors.gray);
+        doc.text(doc.splitTextToSize('Fiecare ipotez\u0103 variat\u0103 cu \u00b1' + pct + '%, celelalte r\u0103m\u00e2n neschimbate. ' +
+            'Cazul de afaceri depinde cel mai mult de: ' + s.roi10Y[0].label.toLowerCase() + '.', contentW), margin, y);
+        y += 14;
+
+        const charts = [
+            ['ROI PE 10 ANI', s.roi10Y, s.base.roi10Y, function (v) { return Math.round(v * 100) + '%'; }],
+            ['RECUPERARE DE LA SEMNAREA CONTRACTULUI', s.paybackYears, s.base.paybackYears, formatPayback]
+        ];
+        charts.forEach(function (chart) {
+            const title = chart[0], drivers = chart[1], baseValue = chart[2], format = chart[3];
+
+            doc.setTextColor(...colors.primary);
+            doc.setFontSize(11);
+            doc.setFont('Roboto', 'bold');
+            doc.text(title, margin, y);
+            doc.setDrawColor(...colors.primary);
+            doc.setLineWidth(0.5);
+            doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+            y += 10;
+
+            // Same scale logic as tornadoSvg() in index.html
+            const finite = [baseValue].concat(...drivers.map(function (d) { return [d.low, d.high]; }))
+                .filter(function (v) { return isFinite(v); });
+            let min = Math.min(...finite), max = Math.max(...finite);
+            if (max === min) { min -= 1; max += 1; }
+            const x0 = margin + 55 + 22, x1 = margin + contentW - 22;
+            const xOf = function (v) { return isFinite(v) ? x0 + (v - min) / (max - min) * (x1 - x0) : x1; };
+            const baseX = xOf(baseValue);
+
+            doc.setFont('Roboto', 'bold');
+            doc.setFontSize(8);
+            doc.setTextColor(...colors.gold);
+            doc.text('Actual: ' + format(baseValue), baseX, y, { align: 'center' });
+            y += 3;
+            const chartTop = y;
+
+            drivers.forEach(function (d) {
+                doc.setFont('Roboto', 'bold');
+                doc.setFontSize(9);
+                doc.setTextColor(...colors.textColor);
+                doc.text(d.label, margin, y + 4.5);
+                doc.setFont('Roboto', 'normal');
+                doc.setFontSize(7.5);
+                doc.setTextColor(...colors.gray);
+                doc.text(formatDriverValue(d.input, d.lowValue) + ' \u2013 ' + formatDriverValue(d.input, d.highValue), margin, y + 8.5);
+
+                doc.setFontSize(8);
+                if (d.swing === 0) {
+                    doc.text('f\u0103r\u0103 efect', baseX + 2, y + 5.5);
+                } else {
+                    [['low', lowColor], ['high', highColor]].forEach(function (side) {
+                        const value = d[side[0]];
+                        if (value === baseValue) return;
+                        const x = xOf(value);
+                        doc.setFillColor(...side[1]);
+                        doc.rect(Math.min(x, baseX), y + 2, Math.max(0.3, Math.abs(x - baseX)), 5, 'F');
+                        doc.setTextColor(...colors.textColor);
+                        doc.text(format(value), x < baseX ? x - 1.5 : x + 1.5, y + 5.7, { align: x < baseX ? 'right' : 'left' });
+                    });
+                }
+                y += 11;
+            });
+
+            doc.setDrawColor(...colors.textColor);
+            doc.setLineWidth(0.3);
+            doc.line(baseX, chartTop, baseX, y);
+            y += 10;
+        });
+
+        // Legend
+        doc.setFontSize(8);
+        doc.setFont('Roboto', 'normal');
+        doc.setTextColor(...colors.gray);
+        doc.setFillColor(...lowColor);
+        doc.rect(margin, y - 2.8, 3, 3, 'F');
+        doc.text('Ipotez\u0103 \u2212' + pct + '%', margin + 4.5, y);
+        doc.setFillColor(...highColor);
+        doc.rect(margin + 35, y - 2.8, 3, 3, 'F');
+        doc.text('Ipotez\u0103 +' + pct + '%', margin + 39.5, y);
+
+        drawFooter(doc, logo, pageW, margin, colors.primary, colors.gray);
+    }
+
+    // ========= FOLLOW-UP PAGE TITLE BAR (21mm) =========
+    function drawPageTitle(doc, title, place, colors) {
+        const pageW = 210;
+        const margin = 15;
+
+        doc.setFillColor(...colors.primary);
+        doc.rect(0, 0, pageW, 20, 'F');
+        doc.setFillColor(196, 164, 52);
+        doc.rect(0, 20, pageW, 1.2, 'F');
+        doc.setFont('Roboto', 'bold');
+        doc.setFontSize(14);
+        doc.setTextColor(255, 255, 255);
+        doc.text(title, margin, 13);
+        doc.setFont('Roboto', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(200, 210, 230);
+        doc.text(place, pageW - margin, 13, { align: 'right' });
+    }
+
+    // ========= HEADER (36mm) =========
+    function drawHeader(doc, logo, subtitle, infoLine) {
+        const pageW = 210;
+        const margin = 15;
+
+        doc.setFillColor(26, 54, 93);
+        doc.rect(0, 0, pageW, 36, 'F');
+        doc.setFillColor(196, 164, 52);
+        doc.rect(0, 36, pageW, 1.2, 'F');
+
+        try { doc.addImage(logo, 'PNG', margin, 3, 30, 30); } catch (e) { }
+
+        doc.setFont('Roboto', 'bold');
+        doc.setTextColor(255, 255, 255);
+        doc.setFontSize(22);
+        doc.text('VISORO CartInspect', margin + 35, 16);
+        doc.setFont('Roboto', 'normal');
+        doc.setFontSize(11);
+        doc.setTextColor(200, 210, 230);
+        doc.text(subtitle, margin + 35, 24);
+        doc.setFontSize(9);
+        doc.setTextColor(180, 195, 215);
+        doc.text(infoLine, margin + 35, 31);
+    }
+
+    function drawFooter(doc, logo, pageW, margin, primary, gray) {
+        // Footer background
+        doc.setFillColor(245, 247, 250);
+        doc.rect(0, 275, pageW, 22, 'F');
+
+        // Gold top line
+        doc.setFillColor(196, 164, 52);
+        doc.rect(0, 275, pageW, 0.6, 'F');
+
+        doc.setFont('Roboto', 'normal');
+        doc.setFontSize(6.5);
+        doc.setTextColor(...gray);
+        doc.text(
+            'Simulare realizat\u0103 pe baza datelor publice de pe transparenta.eu. Valorile sunt estimative.',
+            margin, 282
+        );
+
+        doc.setFont('Roboto', 'bold');
+        doc.setFontSize(7);
+        doc.setTextColor(...primary);
+        doc.text('VISORO GROUP | CartInspect | www.visoro-global.ro', margin, 291);
+
+        // Logo in footer (small)
+        try {
+            doc.addImage(logo, 'PNG', pageW - margin - 12, 277, 12, 12);
+        } catch (e) { }
+    }
+
+    // ========= MULTI-UAT COMPARISON (one page) =========
+    // report: { uats: [row], totals (CALC_ENGINE.comparisonTotals), agentName, date,
+    //           model: { version, params } — for flagging rows with a custom scenario }
+    // row: calculationResults fields + { county, name, taxPerHouse, modelVersion,
+    //      monthlyRate, paybackYears, npv, irr (its installment cash flow) } as pinned
+    function drawComparisonReport(doc, report, assets) {
+        const pageW = 210;
+        const margin = 15;
+        const contentW = pageW - 2 * margin;
+        const primary = [26, 54, 93];
+        const success = [56, 161, 105];
+        const textColor = [26, 32, 44];
+        const gray = [74, 85, 104];
+        const t = report.totals;
+        const amount = function (v) { return new Intl.NumberFormat('ro-RO', { maximumFractionDigits: 0 }).format(Math.round(v)); };
+
+        assets.registerFonts(doc);
+        drawHeader(doc, assets.logo, 'Compara\u021bie UAT-uri \u2014 ' + report.uats.length + ' localit\u0103\u021bi',
+            'Data: ' + report.date + '  |  Agent: ' + (report.agentName || 'N/A'));
+
+        let y = 46;
+        doc.setTextColor(...primary);
+        doc.setFontSize(12);
+        doc.setFont('Roboto', 'bold');
+        doc.text('COMPARA\u021aIE UAT-URI', margin, y);
+        doc.setFontSize(8);
+        doc.setFont('Roboto', 'normal');
+        doc.setTextColor(...gray);
+        doc.text('sume \u00een RON', margin + contentW, y, { align: 'right' });
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.6);
+        doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+        y += 9;
+
+        // UAT left-aligned, figures right-aligned at the column's right edge
+        const columns = [
+            { title: 'UAT', width: 34, value: function (u) { return u.name + ' (' + u.county + ')'; } },
+            { title: 'Locuin\u021be', width: 14, value: function (u) { return u.totalHouses ? amount(u.totalHouses) : '-'; } },
+            { title: '\u00cencas\u0103ri', width: 20, value: function (u) { return amount(u.currentRevenue); } },
+            { title: 'Imp./loc.', width: 15, value: function (u) { return u.taxPerHouse !== null ? amount(u.taxPerHouse) : '-'; } },
+            { title: 'Cre\u0219tere/an', width: 19, value: function (u) { return '+ ' + amount(u.deltaYear); } },
+            // Without a housing count there is no cost, so no ROI / cash flow either
+            { title: 'Cost', width: 18, value: function (u) { return u.totalHouses ? amount(u.cost) : '-'; } },
+            { title: 'ROI 10 ani', width: 15, value: function (u) { return u.totalHouses ? Math.round(u.roi10Y * 100) + '%' : '-'; } },
+            { title: 'VAN 10 ani', width: 18, value: function (u) { return u.totalHouses ? amount(u.npv) : '-'; } },
+            { title: 'RIR', width: 12, value: function (u) { return u.totalHouses ? formatIrr(u.irr) : '-'; } },
+            { title: 'Recuperare', width: 15, value: function (u) { return u.totalHouses ? formatPayback(u.paybackYears) : '-'; } }
+        ];
+        const drawRow = function (row) {
+            let x = margin;
+            columns.forEach(function (col, i) {
+                const text = row[i];
+                if (i === 0) doc.text(doc.splitTextToSize(text, col.width - 2)[0], x, y);
+                else doc.text(text, x + col.width, y, { align: 'right' });
+                x += col.width;
+            });
+        };
+
+        doc.setFontSize(7.5);
+        doc.setFont('Roboto', 'bold');
+        doc.setTextColor(...primary);
+        drawRow(columns.map(function (c) { return c.title; }));
+        y += 2;
+        doc.setDrawColor(...primary);
+        doc.setLineWidth(0.3);
+        doc.line(margin, y, margin + contentW, y);
+        y += 4.5;
+
+        doc.setFontSize(8);
+        report.uats.forEach(function (u, i) {
+            if (i % 2 === 1) {
+                doc.setFillColor(245, 247, 250);
+                doc.rect(margin, y - 4.3, contentW, 6.2, 'F');
+            }
+            doc.setFont('Roboto', 'normal');
+            doc.setTextColor(...textColor);
+            drawRow(columns.map(function (c) { return c.value(u); }));
+            y += 6.2;
+        });
+
+        doc.setDrawColor(...primary);
+        doc.line(margin, y - 4, margin + contentW, y - 4);
+        y += 1;
+        doc.setFont('Roboto', 'bold');
+        doc.setTextColor(...primary);
+        drawRow(columns.map(function (c, i) { return i === 0 ? 'Total (' + t.uats + ' UAT)' : c.value(t); }));
+        y += 12;
+
+        // ========= TOTAL MICROREGIUNE =========
+        doc.setFontSize(12);
+        doc.text('TOTAL MICROREGIUNE', margin, y);
+        doc.setLineWidth(0.6);
+        doc.line(margin, y + 2.5, margin + contentW, y + 2.5);
+        y += 8;
+
+        const boxW = (contentW - 12) / 4;
+        const boxes = [
+            ['\u00cencas\u0103ri actuale', formatRON(t.currentRevenue), textColor],
+            ['Dup\u0103 CartInspect', formatRON(t.afterCartInspect), success],
+            ['Impact pe 10 ani', '+ ' + formatRON(t.delta10Y), success],
+            ['Cost proiect', formatRON(t.cost), primary]
+        ];
+        boxes.forEach(function (box, i) {
+            const bx = margin + i * (boxW + 4);
+            doc.setFillColor(245, 247, 250);
+            doc.setDrawColor(226, 232, 240);
+            doc.roundedRect(bx, y, boxW, 18, 2, 2, 'FD');
+            doc.setFont('Roboto', 'normal');
+            doc.setFontSize(8);
+            doc.setTextColor(...gray);
+            doc.text(box[0], bx + 3, y + 6);
+            doc.setFont('Roboto', 'bold');
+            doc.setFontSize(11);
+            doc.setTextColor(...box[2]);
+            doc.text(box[1], bx + 3, y + 14);
+        });
+        y += 26;
+
+        // ========= NOTE =========
+        // Rows keep the components and assumptions they were pinned with
+        const params = report.model.params;
+        const custom = report.uats.filter(function (u) {
+            return u.upliftFactor !== params.CARTINSPECT_FACTOR || u.pricePerImobil !== params.PRICE_PER_IMOBIL || u.coverage !== 1;
+        });
+        let note = 'Fiecare r\u00e2nd p\u0103streaz\u0103 componentele de impozit \u0219i ipotezele din momentul ad\u0103ug\u0103rii \u00een compara\u021bie. ' +
+            'VAN, RIR \u0219i recuperarea: fluxul de numerar de la semnarea contractului, cu rata lunar\u0103 din momentul ad\u0103ug\u0103rii. ' +
+            'Total: UAT-urile ca un singur proiect; costul, ROI, VAN, RIR, recuperarea \u0219i impozitul pe locuin\u021b\u0103 doar pentru UAT-urile cu num\u0103r de locuin\u021be. ' +
+            'Standard (' + (report.model.version ? 'model v' + report.model.version : 'model implicit') + '): +' +
+            Math.round((params.CARTINSPECT_FACTOR - 1) * 100) + '%, ' + formatRON(params.PRICE_PER_IMOBIL) + '/imobil, 100% imobile inspectate.';
+        if (custom.length) {
+            note += ' Scenariu personalizat: ' + custom.map(function (u) {
+                return u.name + ' (+' + Math.round((u.upliftFactor - 1) * 100) + '%, ' + formatRON(u.pricePerImobil) + ', ' +
+                    Math.round(u.coverage * 100) + '%)';
+            }).join('; ') + '.';
+        }
+        doc.setFont('Roboto', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(...gray);
+        doc.text(doc.splitTextToSize(note, contentW), margin, y);
+
+        drawFooter(doc, assets.logo, pageW, margin, primary, gray);
+        return doc;
+    }
+
+    function reportFileName(communeName, date) {
+        return 'CartInspect_' + (communeName || 'N/A').replace(/\s+/g, '_') + '_' + date.replace(/\./g, '-') + '.pdf';
+    }
+
+    function comparisonFileName(count, date) {
+        return 'CartInspect_Comparatie_' + count + '_UAT_' + date.replace(/\./g, '-') + '.pdf';
+    }
+
+    const PDF_REPORT = { drawReport, drawComparisonReport, reportFileName, comparisonFileName, formatPayback };
+    if (typeof module !== 'undefined' && module.exports) module.exports = PDF_REPORT;
+    else window.PDF_REPORT = PDF_REPORT;
+})();
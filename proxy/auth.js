@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ fields: { component: 'agents' } });
+
+// ============================================================
+// Agent accounts and login sessions
+// - createAgentStore(): accounts in a JSON file (scrypt password hashes)
+// - createSessionStore(): bearer tokens in memory (a restart logs everyone out)
+// - createAttemptLimiter(): failed logins per key (IP, username) in a time window
+// Roles, lowest to highest: agent → manager → admin. A role includes the ones below it.
+// ============================================================
+
+const ROLES = ['agent', 'manager', 'admin'];
+
+function hasRole(agent, minRole) {
+    return !!agent && ROLES.indexOf(agent.role) >= ROLES.indexOf(minRole);
+}
+
+// "scrypt:<salt>:<hash>", hex
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// Async: a login must not block the event loop for the length of a scrypt run
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against for unknown usernames, so they take as long as a wrong password
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const normalizeUsername = (u) => String(u || '').trim().toLowerCase();
+
+// created = true when adding a new account (password then required)
+function validateAgent({ username, name, role, password }, created) {
+    if (!/^[a-z0-9._-]{3,32}$/.test(normalizeUsername(username))) {
+        return 'username must be 3-32 characters: letters, digits, . _ -';
+    }
+    if (created && !name) return 'name is required';
+    if (role !== undefined && !ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`;
+    if (created && !password) return 'password is required';
+    if (password !== undefined && String(password).length < 8) return 'password must be at least 8 characters';
+    return null;
+}
+
+// What leaves the server: never the password hash
+function publicAgent(agent) {
+    if (!agent) return null;
+    const { passwordHash, ...rest } = agent;
+    return rest;
+}
+
+function createAgentStore({ file }) {
+    const agents = new Map(); // username → { username, name, role, passwordHash, createdAt, updatedAt }
+
+    try {
+        const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const agent of list) agents.set(agent.username, agent);
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.warn('Could not load agents', { file, error: e });
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const list = [...agents.values()].sort((a, b) => a.username.localeCompare(b.username));
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(list, null, 4) + '\n');
+        fs.renameSync(tmp, file);
+    }
+
+    function get(username) {
+        return agents.get(normalizeUsername(username)) || null;
+    }
+
+    function list() {
+        return [...agents.values()].map(publicAgent);
+    }
+
+    // Insert or update; omitted fields keep their value. Returns { agent, created }
+    function set({ username, name, role, password }) {
+        const key = normalizeUsername(username);
+        const existing = agents.get(key);
+        const now = new Date().toISOString();
+        const agent = {
+            username: key,
+            name: name ? String(name) : existing.name,
+            role: role || existing?.role || 'agent',
+            passwordHash: password ? hashPassword(password) : existing.passwordHash,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        agents.set(key, agent);
+        save();
+        return { agent: publicAgent(agent), created: !existing };
+    }
+
+    function remove(username) {
+        const agent = get(username);
+        if (agent) {
+            agents.delete(agent.username);
+            save();
+        }
+        return publicAgent(agent);
+    }
+
+    // Resolves to the agent when the password matches, else null
+    async function authenticate(username, password) {
+        const agent = get(username);
+        const valid = await verifyPassword(password, agent ? agent.passwordHash : DUMMY_HASH);
+        return agent && valid ? agent : null;
+    }
+
+    return { get, list, set, remove, authenticate };
+}
+
+function createSessionStore({ ttlMs = 12 * 60 * 60 * 1000 } = {}) {
+    const sessions = new Map(); // token → { username, expiresAt }
+
+    function create(username) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = { username, expiresAt: Date.now() + ttlMs };
+        sessions.set(token, session);
+        return { token, expiresAt: new Date(session.expiresAt).toISOString() };
+    }
+
+    function get(token) {
+        const session = token && sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    function destroy(token) {
+        sessions.delete(token);
+    }
+
+    // Removed or demoted accounts must not keep working until their token expires
+    function destroyUser(username) {
+        for (const [token, s] of sessions) if (s.username === username) sessions.delete(token);
+    }
+
+    return { create, get, destroy, destroyUser };
+}
+
+// At most maxAttempts failures per key within windowMs; the window starts at the first failure
+function createAttemptLimiter({ maxAttempts = 10, windowMs = 15 * 60 * 1000 } = {}) {
+    const failures = new Map(); // key → { count, resetAt }
+
+    function current(key) {
+        const entry = failures.get(key);
+        if (entry && entry.resetAt <= Date.now()) {
+            failures.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // ms until key may try again, 0 = allowed now
+    function retryAfterMs(key) {
+        const entry = current(key);
+        return entry && entry.count >= maxAttempts ? entry.resetAt - Date.now() : 0;
+    }
+
+    function fail(key) {
+        const entry = current(key);
+        if (entry) entry.count++;
+        else failures.set(key, { count: 1, resetAt: Date.now() + windowMs });
+    }
+
+    function reset(key) {
+        failures.delete(key);
+    }
+
+    // Expired entries of keys that never came back
+    function prune() {
+        const now = Date.now();
+        for (const [key, entry] of failures) if (entry.resetAt <= now) failures.delete(key);
+    }
+    setInterval(prune, windowMs).unref();
+
+    return { retryAfterMs, fail, reset };
+}
+
+module.exports = {
+    ROLES, hasRole, hashPassword, verifyPassword, validateAgent, publicAgent,
+    createAgentStore, createSessionStore, createAttemptLimiter
+};
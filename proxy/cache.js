@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ fields: { component: 'cache' } });
+
+// ============================================================
+// Persistent cache for upstream GraphQL responses
+// - One JSON file on disk, loaded into memory at startup
+// - Per-operation TTL: fresh → served directly
+// - Past TTL but within maxStale → served stale, refreshed in background
+// - Past maxStale → refetched; the stale copy is still used if upstream fails
+// ============================================================
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// TTLs keyed by GraphQL operation name (the name after `query`)
+const DEFAULT_POLICIES = {
+    EntitySearch: { ttl: 30 * DAY, maxStale: 180 * DAY },
+    EntityByCui: { ttl: 30 * DAY, maxStale: 180 * DAY },
+    EntityBySiruta: { ttl: 30 * DAY, maxStale: 180 * DAY },
+    AggregatedLineItems: { ttl: 1 * DAY, maxStale: 30 * DAY },   // budget execution is updated monthly
+    InsObservations: { ttl: 30 * DAY, maxStale: 365 * DAY },     // INS publishes yearly
+    default: { ttl: 1 * HOUR, maxStale: 1 * DAY }
+};
+
+const MAX_ENTRIES = 50000;
+const SAVE_DELAY_MS = 2000;
+
+function operationName(query) {
+    const m = /\b(?:query|mutation)\s+(\w+)/.exec(query);
+    return m ? m[1] : 'anonymous';
+}
+
+function cacheKey(query, variables) {
+    const hash = crypto.createHash('sha1')
+        .update(query.replace(/\s+/g, ' ').trim())
+        .update(JSON.stringify(variables || {}))
+        .digest('hex');
+    return `${operationName(query)}:${hash}`;
+}
+
+function createCache({ file, policies = DEFAULT_POLICIES, disabled = false } = {}) {
+    const entries = new Map();   // key → { data, fetchedAt }
+    const inFlight = new Map();  // key → Promise (dedupes concurrent fetches)
+    const stats = { hits: 0, staleHits: 0, misses: 0, errors: 0 };
+    let saveTimer = null;
+
+    if (file && !disabled) {
+        try {
+            const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [key, entry] of Object.entries(raw)) entries.set(key, entry);
+            log.info('Loaded cache', { entries: entries.size, file });
+        } catch (e) {
+            if (e.code !== 'ENOENT') log.warn('Could not load cache', { file, error: e });
+        }
+    }
+
+    function policyFor(key) {
+        return policies[key.split(':')[0]] || policies.default;
+    }
+
+    function scheduleSave() {
+        if (!file || saveTimer) return;
+        saveTimer = setTimeout(save, SAVE_DELAY_MS);
+        saveTimer.unref();
+    }
+
+    // Write to a temp file then rename, so a crash never leaves half a JSON file
+    function save() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        // Disabled: nothing was loaded, so writing would wipe the file on disk
+        if (!file || disabled) return;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmp = file + '.tmp';
+            fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(entries)));
+            fs.renameSync(tmp, file);
+        } catch (e) {
+            log.error('Could not save cache', { file, error: e });
+        }
+    }
+
+    function store(key, data) {
+        entries.delete(key); // re-insert so Map order stays oldest-first
+        entries.set(key, { data, fetchedAt: Date.now() });
+        while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+        scheduleSave();
+    }
+
+    function refresh(key, fetcher) {
+        if (inFlight.has(key)) return inFlight.get(key);
+        const p = fetcher()
+            .then(data => { store(key, data); return entries.get(key); })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, p);
+        return p;
+    }
+
+    // Returns { data, fetchedAt, status: 'hit' | 'stale' | 'miss' }
+    async function fetchThrough(query, variables, fetcher) {
+        if (disabled) {
+            return { data: await fetcher(), fetchedAt: Date.now(), status: 'miss' };
+        }
+
+        const key = cacheKey(query, variables);
+        const entry = entries.get(key);
+        const { ttl, maxStale } = policyFor(key);
+        const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (age <= ttl) {
+            stats.hits++;
+            return { ...entry, status: 'hit' };
+        }
+
+        if (age <= maxStale) {
+            stats.staleHits++;
+            refresh(key, fetcher).catch(e => {
+                stats.errors++;
+                log.warn('Background refresh failed', { key, error: e });
+            });
+            return { ...entry, status: 'stale' };
+        }
+
+        stats.misses++;
+        try {
+            return { ...(await refresh(key, fetcher)), status: 'miss' };
+        } catch (e) {
+            stats.errors++;
+            // stale-if-error: an old answer beats no answer
+            if (entry) return { ...entry, status: 'stale' };
+            throw e;
+        }
+    }
+
+    // oldest / newest fetchedAt across entries (ms, null when empty)
+    function getStats() {
+        let oldestFetchedAt = null;
+        let newestFetchedAt = null;
+        for (const { fetchedAt } of entries.values()) {
+            if (oldestFetchedAt === null || fetchedAt < oldestFetchedAt) oldestFetchedAt = fetchedAt;
+            if (newestFetchedAt === null || fetchedAt > newestFetchedAt) newestFetchedAt = fetchedAt;
+        }
+        return { ...stats, entries: entries.size, oldestFetchedAt, newestFetchedAt };
+    }
+
+    return { fetchThrough, save, getStats };
+}
+
+module.exports = { createCache, cacheKey, operationName, DEFAULT_POLICIES };
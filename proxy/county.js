@@ -0,0 +1,153 @@
+const fs = require('fs');
+const { parseDataFile } = require('./readiness');
+const { calculate, calculateInstallments, cashFlow, contractsFor } = require('../calc-engine');
+
+// ============================================================
+// County opportunity summary (/api/county/:county)
+// Every UAT of a county from romania_uat.js, joined with the offline
+// uat_data.js figures and projected with the model version in effect
+// through calc-engine.js, with the default components (building tax of
+// individuals + land tax). Payback, NPV and IRR come from the installment
+// cash flow (cashFlow in calc-engine.js) at the summary's monthly rate.
+// uat_data.js is regenerated by scripts/ without exports, so it is parsed
+// from disk like /ready does, once per file mtime.
+// ============================================================
+
+// Case, diacritics and separators ignored: "arges", "Argeș", "ARGES" → "Argeș"
+const countyKey = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase().replace(/[^A-Z]/g, '');
+
+// monthlyRate null → no cash flow (the ranking pass over every county only needs ROI)
+function projectUat(name, uat, data, model, monthlyRate) {
+    const currentRevenue = data ? (data.tax || 0) + (data.landTax || 0) : 0;
+    const totalHouses = data?.houses || 0;
+    const row = {
+        name, tip: uat.tip, rang: uat.rang,
+        hasData: currentRevenue > 0,
+        taxYear: data?.taxYear ?? null,
+        housesYear: data?.housesYear ?? null,
+        totalHouses,
+        currentRevenue: null, afterCartInspect: null, deltaYear: null, delta10Y: null,
+        cost: null, roi10Y: null, paybackYears: null, npv: null, irr: null,
+        ranks: { roi: null, deltaYear: null }
+    };
+    if (!row.hasData) return row;
+
+    const r = calculate({
+        financial: { impozitCladiriFizice: data.tax || 0, impozitTerenuri: data.landTax || 0 },
+        totalHouses
+    }, model);
+    Object.assign(row, {
+        currentRevenue: r.currentRevenue,
+        afterCartInspect: r.afterCartInspect,
+        deltaYear: r.deltaYear,
+        delta10Y: r.delta10Y
+    });
+    // Without a housing count there is no cost, so no ROI / payback to rank on
+    if (totalHouses > 0) {
+        Object.assign(row, { cost: r.cost, roi10Y: r.roi10Y });
+        if (monthlyRate) {
+            const flow = calculateInstallments(r, monthlyRate, model).cashFlow;
+            Object.assign(row, { paybackYears: flow.paybackYears, npv: flow.npv, irr: flow.irr });
+        }
+    }
+    return row;
+}
+
+// 1 = best; rows without the value keep null
+function assignRanks(rows, field, rankName) {
+    rows.filter(r => r[field] !== null)
+        .sort((a, b) => b[field] - a[field])
+        .forEach((r, i) => { r.ranks[rankName] = i + 1; });
+}
+
+// Sums over UATs with data; ROI and the cash flow (every UAT's contracts against
+// their summed surplus, like the calculator's comparison) only over those that also have a cost
+function totalsOf(rows, model, monthlyRate) {
+    const sum = (list, field) => list.reduce((s, r) => s + (r[field] || 0), 0);
+    const withData = rows.filter(r => r.hasData);
+    const priced = withData.filter(r => r.cost !== null);
+    const pricedDelta10Y = sum(priced, 'delta10Y');
+    const cost = sum(priced, 'cost');
+    const flow = cost > 0 && monthlyRate
+        ? cashFlow(sum(priced, 'deltaYear'), priced.flatMap(r => contractsFor(r.cost, monthlyRate, model)), model)
+        : null;
+    return {
+        uats: rows.length,
+        withData: withData.length,
+        priced: priced.length,
+        totalHouses: sum(rows, 'totalHouses'),
+        currentRevenue: sum(withData, 'currentRevenue'),
+        afterCartInspect: sum(withData, 'afterCartInspect'),
+        deltaYear: sum(withData, 'deltaYear'),
+        delta10Y: sum(withData, 'delta10Y'),
+        cost,
+        roi10Y: cost > 0 ? (pricedDelta10Y - cost) / cost : null,
+        paybackYears: flow ? flow.paybackYears : null,
+        npv: flow ? flow.npv : null,
+        irr: flow ? flow.irr : null
+    };
+}
+
+// getModel() → { version, effectiveFrom, params } (model-config.js);
+// monthlyRate: installment rate of the cash flow (RON / month)
+function createCountySummary({ uatDataFile, romaniaUat, getModel, monthlyRate }) {
+    const counties = Object.keys(romaniaUat);
+    let memo = null; // { mtimeMs, uatData, generated }
+
+    function loadUatData() {
+        const mtimeMs = fs.statSync(uatDataFile).mtimeMs;
+        if (!memo || memo.mtimeMs !== mtimeMs) {
+            const source = fs.readFileSync(uatDataFile, 'utf8');
+            const generated = /^\/\/\s*Generated:\s*(\d{4}-\d{2}-\d{2})/m.exec(source.slice(0, 1000));
+            memo = { mtimeMs, uatData: parseDataFile(source, 'UAT_DATA'), generated: generated ? generated[1] : null };
+        }
+        return memo;
+    }
+
+    function resolveCounty(county) {
+        const key = countyKey(county);
+        return counties.find(c => countyKey(c) === key) || null;
+    }
+
+    function rowsOf(county, uatData, model, rate = null) {
+        const rows = Object.entries(romaniaUat[county])
+            .map(([name, uat]) => projectUat(name, uat, uatData[county]?.[name], model, rate));
+        assignRanks(rows, 'roi10Y', 'roi');
+        assignRanks(rows, 'deltaYear', 'deltaYear');
+        return rows;
+    }
+
+    // Returns null for an unknown county
+    function summarize(countyParam) {
+        const county = resolveCounty(countyParam);
+        if (!county) return null;
+        const { uatData, generated } = loadUatData();
+        const { version, effectiveFrom, params } = getModel();
+
+        // The county's place among all counties (cheap: ~3200 rows in total)
+        const all = counties.map(c => ({ county: c, ranks: {}, ...totalsOf(rowsOf(c, uatData, params), params) }));
+        assignRanks(all, 'roi10Y', 'roi');
+        assignRanks(all, 'deltaYear', 'deltaYear');
+        const self = all.find(c => c.county === county);
+
+        const rows = rowsOf(county, uatData, params, monthlyRate).sort((a, b) =>
+            (a.ranks.roi ?? Infinity) - (b.ranks.roi ?? Infinity) ||
+            (a.ranks.deltaYear ?? Infinity) - (b.ranks.deltaYear ?? Infinity) ||
+            a.name.localeCompare(b.name, 'ro'));
+
+        return {
+            county,
+            model: { version, effectiveFrom, pricePerImobil: params.PRICE_PER_IMOBIL, cartinspectFactor: params.CARTINSPECT_FACTOR },
+            source: { file: 'uat_data.js', generated },
+            monthlyRate,
+            totals: totalsOf(rows, params, monthlyRate),
+            countyRanks: { ...self.ranks, of: counties.length },
+            uats: rows
+        };
+    }
+
+    return { summarize };
+}
+
+module.exports = { createCountySummary };
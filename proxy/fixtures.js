@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { cacheKey, operationName } = require('./cache');
+
+// ============================================================
+// GraphQL fixtures: recorded request/response pairs, one JSON file each
+//   <Operation>-<hash>.json → { operationName, query, variables, data, recordedAt }
+// Used by the proxy in GRAPHQL_MODE=record / replay and by mock-graphql.js.
+// ============================================================
+
+function fixtureFileName(query, variables) {
+    return cacheKey(query, variables).replace(':', '-') + '.json';
+}
+
+function createFixtureStore({ dir }) {
+    function load(query, variables) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(dir, fixtureFileName(query, variables)), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    function save(query, variables, data) {
+        fs.mkdirSync(dir, { recursive: true });
+        const fixture = {
+            operationName: operationName(query),
+            query: query.replace(/\s+/g, ' ').trim(),
+            variables: variables || {},
+            data,
+            recordedAt: new Date().toISOString()
+        };
+        fs.writeFileSync(path.join(dir, fixtureFileName(query, variables)), JSON.stringify(fixture, null, 2) + '\n');
+        return fixture;
+    }
+
+    function list() {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return files.map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+    }
+
+    return { load, save, list };
+}
+
+module.exports = { createFixtureStore, fixtureFileName };
@@ -0,0 +1,44 @@
+// ============================================================
+// Structured logger: one JSON object per line on stdout / stderr
+//   {"time":"…","level":"warn","msg":"Housing count exceeds cap","requestId":"…",…}
+// LOG_LEVEL = debug | info | warn | error (default info)
+// child(fields) returns a logger that adds `fields` to every line
+// (the proxy uses it to stamp each request's requestId).
+// ============================================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors do not survive JSON.stringify: keep what is useful
+function serialize(value) {
+    if (value instanceof Error) {
+        return {
+            message: value.message,
+            ...(value.code && { code: value.code }),
+            ...(value.status && { status: value.status }),
+            ...(!value.upstream && value.stack && { stack: value.stack })
+        };
+    }
+    return value;
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, write } = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+    const out = write || ((lvl, line) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n'));
+
+    function log(lvl, msg, extra = {}) {
+        if (LEVELS[lvl] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: lvl, msg, ...fields };
+        for (const [k, v] of Object.entries(extra)) entry[k] = serialize(v);
+        out(lvl, JSON.stringify(entry));
+    }
+
+    return {
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        child: (more) => createLogger({ level, fields: { ...fields, ...more }, write: out })
+    };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,88 @@
+// ============================================================
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+//   counter(name, help, labelNames)            → { inc(labels?, value?) }
+//   histogram(name, help, labelNames, buckets) → { observe(labels?, value) }
+//   gauge(name, help, labelNames, collect)     → collect() returns [{ labels, value }]
+//                                                 at scrape time
+// render() returns the /metrics body.
+// ============================================================
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series key: label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return labelNames.map(n => String(labels[n] ?? '')).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(n => [n, labels[n] ?? '']));
+}
+
+function createMetrics() {
+    const metrics = [];
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map(); // key → { labels, value }
+        metrics.push({
+            name, help, type: 'counter',
+            lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`)
+        });
+        return {
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+                series.get(key).value += value;
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        const series = new Map(); // key → { labels, counts (per bucket), sum, count }
+        metrics.push({
+            name, help, type: 'histogram',
+            lines: () => [...series.values()].flatMap(s => [
+                ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+                `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+                `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+                `${name}_count${formatLabels(s.labels)} ${s.count}`
+            ])
+        });
+        return {
+            observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) {
+                    series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const s = series.get(key);
+                buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+                s.sum += value;
+                s.count++;
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames, collect) {
+        metrics.push({
+            name, help, type: 'gauge',
+            lines: () => collect().map(({ labels = {}, value }) =>
+                `${name}${formatLabels(pickLabels(labelNames, labels))} ${value}`)
+        });
+    }
+
+    function render() {
+        return metrics.map(m => [
+            `# HELP ${m.name} ${m.help}`,
+            `# TYPE ${m.name} ${m.type}`,
+            ...m.lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, histogram, gauge, render };
+}
+
+module.exports = { createMetrics };
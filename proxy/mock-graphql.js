@@ -0,0 +1,119 @@
+const express = require('express');
+const path = require('path');
+const { createFixtureStore, fixtureFileName } = require('./fixtures');
+const { operationName } = require('./cache');
+
+// ============================================================
+// Local mock of the transparenta.eu GraphQL API, answered from fixtures
+//
+//   node proxy/mock-graphql.js                    (port MOCK_PORT, default 4001)
+//   GRAPHQL_URL=http://localhost:4001/graphql node proxy/server.js
+//
+// 1. Exact match: a fixture recorded for the same query + variables
+// 2. Otherwise a best-effort answer built from every recorded node:
+//    EntitySearch   → entities whose name / UAT name contain every search word
+//    EntityByCui    → entity with that CUI (also HealthProbe, the proxy's /ready check)
+//    EntityBySiruta → entities with that SIRUTA
+//    InsObservations → recorded observations for the requested SIRUTA codes
+//    AggregatedLineItems → line items recorded for the same CUI, year and amount type
+//                          (empty = "no data")
+// ============================================================
+
+const norm = (s) => String(s || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/-/g, ' ');
+
+// Every entity node seen in any fixture, deduplicated by CUI
+function collectEntities(fixtures) {
+    const byCui = new Map();
+    for (const f of fixtures) {
+        const nodes = f.data?.entities?.nodes || (f.data?.entity ? [f.data.entity] : []);
+        for (const n of nodes) if (n && n.cui && !byCui.has(n.cui)) byCui.set(n.cui, n);
+    }
+    return [...byCui.values()];
+}
+
+// Every INS observation node seen in any fixture
+function collectObservations(fixtures) {
+    return fixtures.flatMap(f => f.data?.insObservations?.nodes || []);
+}
+
+// CUI + year + amount type of an AggregatedLineItems filter
+const lineItemsKey = (filter = {}) =>
+    [filter.entity_cuis?.[0], filter.report_period?.selection?.interval?.start, filter.amount_type || ''].join('|');
+
+function collectLineItems(fixtures, filter) {
+    const key = lineItemsKey(filter);
+    return fixtures
+        .filter(f => operationName(f.query) === 'AggregatedLineItems' && lineItemsKey(f.variables?.filter) === key)
+        .flatMap(f => f.data?.aggregatedLineItems?.nodes || []);
+}
+
+function fallbackAnswer(op, variables, entities, observations, fixtures) {
+    switch (op) {
+        case 'EntitySearch': {
+            const words = norm(variables.search).split(/\s+/).filter(Boolean);
+            const nodes = entities
+                .filter(n => {
+                    const hay = norm(`${n.name} ${n.uat?.name} ${n.uat?.county_name}`);
+                    return words.every(w => hay.includes(w));
+                })
+                .slice(0, variables.limit || 30);
+            return { entities: { nodes } };
+        }
+        case 'EntityByCui':
+        case 'HealthProbe':
+            return { entity: entities.find(n => String(n.cui) === String(variables.cui)) || null };
+        case 'EntityBySiruta': {
+            const codes = (variables.filter?.uat_siruta_codes || []).map(String);
+            return { entities: { nodes: entities.filter(n => codes.includes(String(n.uat?.siruta_code))) } };
+        }
+        case 'AggregatedLineItems':
+            return { aggregatedLineItems: { nodes: collectLineItems(fixtures, variables.filter) } };
+        case 'InsObservations': {
+            const codes = (variables.filter?.sirutaCodes || []).map(String);
+            return { insObservations: { nodes: observations.filter(n => codes.includes(String(n.territory?.siruta_code))) } };
+        }
+        default:
+            return null;
+    }
+}
+
+// fixtures: array of fixture objects (tests) — otherwise read from fixturesDir on every request
+function createMockApp({ fixturesDir, fixtures } = {}) {
+    const store = fixturesDir ? createFixtureStore({ dir: fixturesDir }) : null;
+    const all = () => fixtures || (store ? store.list() : []);
+
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.post('/graphql', (req, res) => {
+        const { query, variables = {} } = req.body || {};
+        if (!query) return res.status(400).json({ errors: [{ message: 'query is required' }] });
+
+        const file = fixtureFileName(query, variables);
+        const exact = fixtures
+            ? fixtures.find(f => fixtureFileName(f.query, f.variables) === file)
+            : store?.load(query, variables);
+        if (exact) return res.json({ data: exact.data });
+
+        const op = operationName(query);
+        const recorded = all();
+        const data = fallbackAnswer(op, variables, collectEntities(recorded), collectObservations(recorded), recorded);
+        if (!data) return res.json({ errors: [{ message: `Mock has no fixture for ${op}` }] });
+        res.json({ data });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.MOCK_PORT || 4001;
+    const dir = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+    createMockApp({ fixturesDir: dir }).listen(port, () => {
+        console.info(`Mock transparenta GraphQL on port ${port} (fixtures: ${dir})`);
+    });
+}
+
+module.exports = { createMockApp };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ fields: { component: 'model-config' } });
+
+// ============================================================
+// Versioned model parameters (/api/model)
+// Every change is a new version with an effective date, who made it, a note
+// and the field-level diff against the version it builds on; versions are
+// never edited or deleted, so the list is the audit trail.
+// Version 1 is seeded from model.js: a fresh deploy serves the bundled values.
+// In effect on a date: the latest effectiveFrom not after it (ties → newest version).
+// ============================================================
+
+const NUMERIC_PARAMS = {
+    PRICE_PER_IMOBIL: { min: 1, max: 10000 },         // RON per imobil
+    CARTINSPECT_FACTOR: { min: 1, max: 5 },           // × current revenue
+    MAX_CONTRACT: { min: 1000, max: 10000000 },       // RON per contract
+    IMPLEMENTATION_MONTHS: { min: 0, max: 60 },       // delivery before the surplus starts
+    DISCOUNT_RATE: { min: 0, max: 0.3 },              // per year
+    INFLATION_RATE: { min: 0, max: 0.2 }              // per year
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+const isDate = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s));
+
+function validateInvestments(list) {
+    if (!Array.isArray(list) || list.length === 0 || list.length > 20) return 'INVESTMENTS must be a list of 1-20 items';
+    for (const inv of list) {
+        if (!inv || typeof inv.name !== 'string' || !inv.name.trim() || inv.name.length > 80) {
+            return 'every investment needs a name (max 80 characters)';
+        }
+        if (typeof inv.cost !== 'number' || !(inv.cost > 0)) return `investment "${inv.name}": cost must be a positive number`;
+        if (inv.icon !== undefined && (typeof inv.icon !== 'string' || inv.icon.length > 8)) {
+            return `investment "${inv.name}": icon must be a short string`;
+        }
+    }
+    return null;
+}
+
+// body: { params (changed fields only), effectiveFrom?, note? } → error message or null
+function validateModelChange({ params, effectiveFrom, note } = {}) {
+    if (!params || typeof params !== 'object' || Object.keys(params).length === 0) return 'params is required';
+    for (const [key, value] of Object.entries(params)) {
+        if (key === 'INVESTMENTS') {
+            const error = validateInvestments(value);
+            if (error) return error;
+            continue;
+        }
+        const range = NUMERIC_PARAMS[key];
+        if (!range) return `unknown parameter ${key}`;
+        if (typeof value !== 'number' || !(value >= range.min && value <= range.max)) {
+            return `${key} must be a number between ${range.min} and ${range.max}`;
+        }
+    }
+    if (effectiveFrom !== undefined) {
+        if (!isDate(effectiveFrom)) return 'effectiveFrom must be a date (YYYY-MM-DD)';
+        // Back-dating would rewrite which values past simulations were made with
+        if (effectiveFrom < today()) return 'effectiveFrom cannot be in the past';
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) return 'note must be a string (max 500 characters)';
+    return null;
+}
+
+// Field-level diff: [{ field, from, to }]
+function diffParams(before, after) {
+    return Object.keys(after)
+        .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] }));
+}
+
+// defaults: { MODEL, INVESTMENTS } from model.js
+function createModelStore({ file, defaults }) {
+    let versions = []; // { version, effectiveFrom, params, basedOn, changes, note, createdAt, createdBy }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(versions, null, 4) + '\n');
+        fs.renameSync(tmp, file);
+    }
+
+    try {
+        versions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.warn('Could not load model versions', { file, error: e });
+    }
+    if (versions.length === 0) {
+        versions.push({
+            version: 1,
+            effectiveFrom: '2026-01-01',
+            params: { ...defaults.MODEL, INVESTMENTS: defaults.INVESTMENTS },
+            basedOn: null,
+            changes: [],
+            note: 'Initial values from model.js',
+            createdAt: new Date().toISOString(),
+            createdBy: null
+        });
+        // Persisted right away so version 1 keeps these values even if model.js changes later
+        save();
+    }
+
+    // The version in effect on `date` (YYYY-MM-DD, default today)
+    function current(date = today()) {
+        return versions
+            .filter(v => v.effectiveFrom <= date)
+            .reduce((best, v) => (!best || v.effectiveFrom > best.effectiveFrom ||
+                (v.effectiveFrom === best.effectiveFrom && v.version > best.version) ? v : best), null)
+            || versions[0];
+    }
+
+    function get(version) {
+        return versions.find(v => v.version === version) || null;
+    }
+
+    // Newest first
+    function list() {
+        return [...versions].reverse();
+    }
+
+    // change: validated { params, effectiveFrom?, note? }; agent: publicAgent
+    // The new version builds on the one in effect on its effective date
+    function create({ params, effectiveFrom = today(), note }, agent) {
+        const base = current(effectiveFrom);
+        const merged = { ...base.params, ...params };
+        if (params.INVESTMENTS) {
+            merged.INVESTMENTS = params.INVESTMENTS.map(({ name, cost, icon }) => ({ name: name.trim(), cost, icon: icon || '' }));
+        }
+        const entry = {
+            version: versions[versions.length - 1].version + 1,
+            effectiveFrom,
+            params: merged,
+            basedOn: base.version,
+            changes: diffParams(base.params, merged),
+            note: note || '',
+            createdAt: new Date().toISOString(),
+            createdBy: { username: agent.username, name: agent.name }
+        };
+        versions.push(entry);
+        save();
+        log.info('Model version created', {
+            version: entry.version, effectiveFrom, by: agent.username, changes: entry.changes.map(c => c.field)
+        });
+        return entry;
+    }
+
+    return { current, get, list, create };
+}
+
+module.exports = { createModelStore, validateModelChange, NUMERIC_PARAMS };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ fields: { component: 'overrides' } });
+
+// ============================================================
+// Manual entity overrides: county + UAT name → CUI / SIRUTA
+// For UATs that transparenta.eu search cannot find (or finds wrong).
+// Consulted by /api/entity-data before the fuzzy search, so a fix
+// lands once and applies to the live calculator and the scripts alike.
+// Stored as a JSON array in entity-overrides.json (committed).
+// ============================================================
+
+// "Alexandru I.cuza" / "ALEXANDRU I. CUZA" / "Alexandru-I.Cuza" → same key
+function normalizeKey(county, name) {
+    const norm = (s) => String(s || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/[-.]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return `${norm(county)}|${norm(name)}`;
+}
+
+function validateOverride({ county, name, cui, siruta }) {
+    if (!county || !name) return 'county and name are required';
+    if (!cui && !siruta) return 'cui or siruta is required';
+    if ((cui && !/^\d+$/.test(String(cui))) || (siruta && !/^\d+$/.test(String(siruta)))) {
+        return 'siruta and cui must be numeric';
+    }
+    return null;
+}
+
+function createOverrideStore({ file }) {
+    const entries = new Map(); // key → { county, name, cui, siruta, note, updatedAt }
+
+    try {
+        const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const entry of list) entries.set(normalizeKey(entry.county, entry.name), entry);
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.warn('Could not load overrides', { file, error: e });
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const list = [...entries.values()].sort((a, b) =>
+            a.county.localeCompare(b.county, 'ro') || a.name.localeCompare(b.name, 'ro'));
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(list, null, 4) + '\n');
+        fs.renameSync(tmp, file);
+    }
+
+    function get(county, name) {
+        if (!county || !name) return null;
+        return entries.get(normalizeKey(county, name)) || null;
+    }
+
+    function list() {
+        return [...entries.values()];
+    }
+
+    // Insert or replace; returns { entry, created }
+    function set({ county, name, cui, siruta, note }) {
+        const key = normalizeKey(county, name);
+        const created = !entries.has(key);
+        const entry = {
+            county: String(county),
+            name: String(name),
+            ...(cui && { cui: String(cui) }),
+            ...(siruta && { siruta: String(siruta) }),
+            ...(note && { note: String(note) }),
+            updatedAt: new Date().toISOString()
+        };
+        entries.set(key, entry);
+        save();
+        return { entry, created };
+    }
+
+    // Returns the removed entry, or null if there was none
+    function remove(county, name) {
+        const key = normalizeKey(county, name);
+        const entry = entries.get(key) || null;
+        if (entry) {
+            entries.delete(key);
+            save();
+        }
+        return entry;
+    }
+
+    return { get, list, set, remove };
+}
+
+module.exports = { createOverrideStore, validateOverride, normalizeKey };
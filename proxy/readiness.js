@@ -0,0 +1,103 @@
+const fs = require('fs');
+
+// ============================================================
+// Readiness checks for the static data files the calculator ships
+// - uat_data.js: offline fallback; header "Generated: <date>" / "Total: <n> UATs"
+// - romania_uat.js: county → UAT list shown in the selects
+// Both are parsed from disk the same way the scripts/ do, so a file the
+// browser cannot load fails here too. Results are memoized per file mtime.
+// ============================================================
+
+// `const NAME = {...};` → the object, or throws
+function parseDataFile(source, constName) {
+    const m = source.match(new RegExp(`const\\s+${constName}\\s*=\\s*(\\{[\\s\\S]*\\});`));
+    if (!m) throw new Error(`${constName} declaration not found`);
+    return new Function('return ' + m[1])();
+}
+
+// "// Generated: 2026-03-24 (final fix: +12 records)" / "// Total: 3180 UATs with data"
+function parseUatDataHeader(source) {
+    const head = source.slice(0, 1000);
+    const generated = /^\/\/\s*Generated:\s*(\d{4}-\d{2}-\d{2})/m.exec(head);
+    const total = /^\/\/\s*Total:\s*(\d+)/m.exec(head);
+    return {
+        generated: generated ? generated[1] : null,
+        headerTotal: total ? parseInt(total[1], 10) : null
+    };
+}
+
+// Same definition of "with data" as the scripts that write the header
+const hasData = (e) => e && (e.tax > 0 || e.landTax > 0 || e.houses > 0);
+
+function inspectDataFiles({ uatDataFile, romaniaUatFile }) {
+    const result = { uatData: { status: 'ok' }, consistency: { status: 'ok' } };
+
+    let uatData;
+    let romaniaUat;
+    try {
+        const source = fs.readFileSync(uatDataFile, 'utf8');
+        uatData = parseDataFile(source, 'UAT_DATA');
+        const { generated, headerTotal } = parseUatDataHeader(source);
+        const records = Object.values(uatData).reduce((s, c) => s + Object.keys(c).length, 0);
+        const withData = Object.values(uatData).reduce((s, c) => s + Object.values(c).filter(hasData).length, 0);
+        result.uatData = {
+            status: headerTotal === withData ? 'ok' : 'warn',
+            generated,
+            ageDays: generated ? Math.floor((Date.now() - Date.parse(generated)) / 86400000) : null,
+            headerTotal,
+            records,
+            withData,
+            ...(headerTotal !== withData && { problem: `header says ${headerTotal} UATs with data, file has ${withData}` })
+        };
+    } catch (e) {
+        result.uatData = { status: 'fail', problem: `uat_data.js: ${e.message}` };
+    }
+
+    try {
+        romaniaUat = parseDataFile(fs.readFileSync(romaniaUatFile, 'utf8'), 'ROMANIA_UAT');
+    } catch (e) {
+        result.consistency = { status: 'fail', problem: `romania_uat.js: ${e.message}` };
+        return result;
+    }
+    if (!uatData) {
+        result.consistency = { status: 'fail', problem: 'uat_data.js could not be parsed' };
+        return result;
+    }
+
+    // Every uat_data.js entry must be a selectable UAT (otherwise it is unreachable,
+    // usually a renamed or misspelled UAT); UATs without data only lose the offline fallback
+    const unknownInData = [];
+    for (const [county, uats] of Object.entries(uatData)) {
+        for (const name of Object.keys(uats)) {
+            if (!romaniaUat[county]?.[name]) unknownInData.push(`${county}/${name}`);
+        }
+    }
+    const missingInData = [];
+    for (const [county, uats] of Object.entries(romaniaUat)) {
+        for (const name of Object.keys(uats)) {
+            if (!uatData[county]?.[name]) missingInData.push(`${county}/${name}`);
+        }
+    }
+    result.consistency = {
+        status: unknownInData.length ? 'fail' : 'ok',
+        uats: Object.values(romaniaUat).reduce((s, c) => s + Object.keys(c).length, 0),
+        unknownInData,
+        missingInData,
+        ...(unknownInData.length && { problem: `${unknownInData.length} uat_data.js entries are not in romania_uat.js` })
+    };
+    return result;
+}
+
+function createDataFileCheck(files) {
+    let memo = null; // { key, result }
+
+    return function check() {
+        const key = [files.uatDataFile, files.romaniaUatFile]
+            .map(f => { try { return fs.statSync(f).mtimeMs; } catch (e) { return 'missing'; } })
+            .join('|');
+        if (!memo || memo.key !== key) memo = { key, result: inspectDataFiles(files) };
+        return memo.result;
+    };
+}
+
+module.exports = { createDataFileCheck, parseDataFile, parseUatDataHeader };
@@ -0,0 +1,80 @@
+const { jsPDF } = require('jspdf');
+const { drawReport, reportFileName } = require('../pdf-report');
+const { registerRobotoFonts, LOGO_B64 } = require('../roboto-fonts');
+const { MODEL, INVESTMENTS } = require('../model');
+const { calculate, scenarioBands } = require('../calc-engine');
+
+// ============================================================
+// Server-side PDF reports (/api/report)
+// Same layout as the calculator's "Descarcă PDF" (pdf-report.js); this module
+// only rebuilds the `calculationResults` the layout expects:
+//   - from an /api/entity-data payload, with calc-engine.js like the calculator,
+//     using the default component selection and the default collection target
+//   - from a stored simulation record (logSimulation() in index.html)
+// ============================================================
+
+// payload: /api/entity-data body; uat: ROMANIA_UAT entry { rang, tip };
+// model: /api/model params (default: bundled model.js values)
+// Returns null when the UAT has no property-tax revenue to simulate on
+function resultsFromEntityData(payload, uat, model = MODEL) {
+    const results = calculate({
+        financial: payload.financial,
+        totalHouses: payload.housing?.count || 0,
+        rang: uat.rang,
+        tip: uat.tip,
+        collection: payload.collection
+    }, model);
+    return results.currentRevenue > 0 ? results : null;
+}
+
+// Simulation records keep component codes only. Their payback_years / npv_ron / irr
+// are the cash flow's; the report recomputes that from monthly_rate_ron (bandCashFlows).
+// model: params of the version the simulation was made with (the low / high bands are rebuilt from them)
+function resultsFromSimulation(sim, model = MODEL) {
+    const results = {
+        totalHouses: sim.total_houses || 0,
+        rang: sim.rank,
+        tip: sim.tip,
+        taxComponents: (sim.tax_components || ['07.01.01', '07.02']).map(code => ({ code })),
+        // What-if values (older records: none, the layout falls back to the model's)
+        upliftFactor: sim.uplift_factor ?? null,
+        pricePerImobil: sim.price_per_imobil_ron ?? null,
+        coverage: sim.coverage ?? null,
+        inspectedHouses: sim.inspected_houses ?? null,
+        currentRevenue: sim.current_revenue_ron,
+        afterCartInspect: sim.after_cartinspect_ron,
+        deltaYear: sim.delta_year_ron,
+        delta10Y: sim.delta_10y_ron,
+        cost: sim.cost_total_ron,
+        roi10Y: sim.roi_10y,
+        simplePaybackYears: sim.delta_year_ron > 0 ? sim.cost_total_ron / sim.delta_year_ron : Infinity,
+        collectionRate: sim.collection_rate ?? null,
+        targetCollectionRate: sim.target_collection_rate ?? null,
+        collectionGainYear: sim.collection_gain_year_ron || 0
+    };
+    const upliftFactor = results.upliftFactor ?? model.CARTINSPECT_FACTOR;
+    const bands = scenarioBands({ currentRevenue: results.currentRevenue, cost: results.cost, upliftFactor, coverage: results.coverage ?? 1 });
+    // The base column shows the recorded figures, like the rest of the report
+    const { afterCartInspect, deltaYear, delta10Y, roi10Y, simplePaybackYears } = results;
+    bands.base = { upliftFactor, afterCartInspect, deltaYear, delta10Y, roi10Y, simplePaybackYears };
+    results.bands = bands;
+    return results;
+}
+
+// report: { results, agentName, county, communeName, date?, model? ({ version, params }, default: model.js) }
+// Returns { filename, buffer }
+function renderReport(report) {
+    const date = report.date || new Date().toLocaleDateString('ro-RO');
+    const doc = new jsPDF('p', 'mm', 'a4');
+    drawReport(doc, {
+        model: { version: null, params: { ...MODEL, INVESTMENTS } },
+        ...report,
+        date
+    }, { registerFonts: registerRobotoFonts, logo: LOGO_B64 });
+    return {
+        filename: reportFileName(report.communeName, date),
+        buffer: Buffer.from(doc.output('arraybuffer'))
+    };
+}
+
+module.exports = { resultsFromEntityData, resultsFromSimulation, renderReport };
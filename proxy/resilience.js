@@ -0,0 +1,103 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger({ fields: { component: 'circuit' } });
+
+// ============================================================
+// Resilience helpers for upstream calls
+// - upstreamError(): Error tagged with code / status / retryable
+// - withRetry(): exponential backoff with full jitter, honours Retry-After
+// - createCircuitBreaker(): fail fast while upstream is down
+// ============================================================
+
+// Error codes surfaced to the frontend (see upstreamStatus in server.js)
+//   RATE_LIMITED   – 429 from upstream
+//   UPSTREAM_ERROR – 5xx, network error or timeout
+//   CIRCUIT_OPEN   – not even tried, upstream failed too often recently
+//   QUERY_ERROR    – upstream answered but rejected the query (not retried)
+function upstreamError(message, { code = 'UPSTREAM_ERROR', status = null, retryable = false, retryAfterMs = null } = {}) {
+    const err = new Error(message);
+    err.code = code;
+    err.status = status;
+    err.retryable = retryable;
+    err.retryAfterMs = retryAfterMs;
+    err.upstream = true;
+    return err;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const secs = Number(header);
+    if (!Number.isNaN(secs)) return secs * 1000;
+    const at = Date.parse(header);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// fn is retried while it throws errors with retryable = true
+async function withRetry(fn, { attempts = 3, baseMs = 300, maxMs = 4000, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (!err.retryable || attempt >= attempts) throw err;
+            // Full jitter: random(0, min(max, base * 2^n)); a Retry-After hint wins if longer
+            const backoff = Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+            const delay = Math.min(maxMs, Math.max(backoff, err.retryAfterMs || 0));
+            if (onRetry) onRetry(err, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+// closed → (failureThreshold consecutive failures) → open → (cooldownMs) → half-open
+// half-open lets one call through: success closes, failure re-opens; calls still
+// in flight from before the circuit opened do not change the state when they finish
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    function getState() {
+        if (state === 'open' && Date.now() - openedAt >= cooldownMs) state = 'half-open';
+        return state;
+    }
+
+    async function run(fn) {
+        const current = getState();
+        if (current === 'open' || (current === 'half-open' && trialInFlight)) {
+            throw upstreamError('Upstream temporarily unavailable (circuit open)', { code: 'CIRCUIT_OPEN' });
+        }
+
+        // Late calls from before the circuit opened must not close it or free the trial slot
+        const isTrial = current === 'half-open';
+        if (isTrial) trialInFlight = true;
+        try {
+            const result = await fn();
+            if (isTrial || state === 'closed') {
+                state = 'closed';
+                failures = 0;
+            }
+            return result;
+        } catch (err) {
+            // Only upstream-health failures count; a bad query says nothing about availability
+            if ((err.retryable || err.code === 'RATE_LIMITED') && (isTrial || state === 'closed')) {
+                failures++;
+                if (isTrial || failures >= failureThreshold) {
+                    log.warn('Circuit opening', { failures, error: err });
+                    state = 'open';
+                    openedAt = Date.now();
+                }
+            }
+            throw err;
+        } finally {
+            if (isTrial) trialInFlight = false;
+        }
+    }
+
+    return { run, getState };
+}
+
+module.exports = { upstreamError, parseRetryAfter, withRetry, createCircuitBreaker };
@@ -2,17 +2,160 @@ const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const path = require('path');
+const crypto = require('crypto');
+const { createCache, operationName } = require('./cache');
+const { createOverrideStore, validateOverride } = require('./overrides');
+const { createFixtureStore } = require('./fixtures');
+const { upstreamError, parseRetryAfter, withRetry, createCircuitBreaker } = require('./resilience');
+const { createSimulationStore, validateSimulation } = require('./simulations');
+const { resultsFromEntityData, resultsFromSimulation, renderReport } = require('./report');
+const { bandCashFlows, calculate, calculateInstallments, sensitivity, validateInputs } = require('../calc-engine');
+const { MODEL, INVESTMENTS } = require('../model');
+const { createModelStore, validateModelChange } = require('./model-config');
+const { ROLES, hasRole, validateAgent, publicAgent, createAgentStore, createSessionStore, createAttemptLimiter } = require('./auth');
+const { ROMANIA_UAT } = require('../romania_uat');
+const { buildUatIndex, searchUats } = require('../uat-search');
+const { createLogger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createDataFileCheck } = require('./readiness');
+const { createCountySummary } = require('./county');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const logger = createLogger();
 
+// req.ip from X-Forwarded-For: Railway puts one proxy hop in front (TRUST_PROXY_HOPS, default 1)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10) || false);
 app.use(cors());
 app.use(express.json());
 
-// Serve static files from the project root (no more public/ duplication)
-app.use(express.static(path.join(__dirname, '..')));
+// ============================================================
+// Observability: request IDs, access log, Prometheus metrics (GET /metrics)
+// ============================================================
+const metrics = createMetrics();
+const httpRequests = metrics.counter('cartinspect_http_requests_total',
+    'API requests by route and status', ['method', 'route', 'status']);
+const upstreamDuration = metrics.histogram('cartinspect_upstream_request_duration_seconds',
+    'Latency of single upstream GraphQL attempts (retries are counted separately)', ['operation', 'outcome']);
+const cacheLookups = metrics.counter('cartinspect_cache_lookups_total',
+    'GraphQL cache lookups by result (hit, stale, miss)', ['result']);
+const searchDepth = metrics.histogram('cartinspect_search_strategy_depth',
+    'Search terms tried per name search until a match (or all of them)', ['outcome'], [1, 2, 3, 5, 8, 13, 21, 34]);
+const entityLookups = metrics.counter('cartinspect_entity_lookups_total',
+    'Entity lookups by outcome (found, not_found, upstream_error, invalid) and resolution path', ['outcome', 'resolved_by']);
+const sanityRejections = metrics.counter('cartinspect_sanity_rejections_total',
+    'Upstream values flagged by sanity checks', ['check']);
+
+// X-Request-Id is honoured when the caller sends one, so logs can be joined across services
+app.use('/api', (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        req.log.info('request', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6)
+        });
+    });
+    next();
+});
+
+// Serve the calculator's files from the project root (no more public/ duplication).
+// Only these: the rest of the tree holds proxy/ (agent, simulation and model stores,
+// the upstream cache), scripts/ and the docs.
+const PUBLIC_FILES = new Set([
+    '/', '/index.html',
+    '/romania_uat.js', '/uat-search.js', '/uat_data.js', '/roboto-fonts.js',
+    '/model.js', '/calc-engine.js', '/pdf-report.js',
+    '/logo-01.png', '/favicon.ico', '/favicon-16.png', '/favicon-32.png', '/favicon-48.png', '/apple-touch-icon.png'
+]);
+const serveStatic = express.static(path.join(__dirname, '..'));
+app.use((req, res, next) => (PUBLIC_FILES.has(req.path) ? serveStatic(req, res, next) : next()));
+
+// GRAPHQL_URL can point at proxy/mock-graphql.js for offline work
+const GRAPHQL_URL = process.env.GRAPHQL_URL || 'https://api.transparenta.eu/graphql';
+
+// GRAPHQL_MODE=record → save every upstream request/response pair as a fixture
+// GRAPHQL_MODE=replay → answer only from fixtures, never touch the network
+const GRAPHQL_MODE = process.env.GRAPHQL_MODE || 'live';
+const fixtures = createFixtureStore({ dir: process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures') });
+
+// Upstream resilience: per-attempt timeout, retries with backoff, circuit breaker
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000;
+const UPSTREAM_ATTEMPTS = parseInt(process.env.UPSTREAM_ATTEMPTS, 10) || 3;
+const breaker = createCircuitBreaker({
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000
+});
+
+// Upstream response cache (CACHE_DISABLED=1 to bypass, CACHE_FILE to relocate)
+// Recording bypasses it, otherwise cache hits would never reach the fixtures
+const cache = createCache({
+    file: process.env.CACHE_FILE || path.join(__dirname, '.cache', 'graphql-cache.json'),
+    disabled: process.env.CACHE_DISABLED === '1' || GRAPHQL_MODE === 'record'
+});
+
+// Manual county+UAT → CUI/SIRUTA table, checked before the fuzzy search
+const overrides = createOverrideStore({
+    file: process.env.OVERRIDES_FILE || path.join(__dirname, 'entity-overrides.json')
+});
+
+// Simulation records sent by the calculator (see logSimulation() in index.html)
+const simulations = createSimulationStore({
+    file: process.env.SIMULATIONS_FILE || path.join(__dirname, 'data', 'simulations.jsonl')
+});
+
+// Versioned model parameters (MODEL_VERSIONS_FILE), seeded from model.js
+const modelStore = createModelStore({
+    file: process.env.MODEL_VERSIONS_FILE || path.join(__dirname, 'data', 'model-versions.json'),
+    defaults: { MODEL, INVESTMENTS }
+});
+
+// Agent accounts (AGENTS_FILE) and login sessions (SESSION_TTL_HOURS, default 12)
+const agents = createAgentStore({
+    file: process.env.AGENTS_FILE || path.join(__dirname, 'data', 'agents.json')
+});
+const sessions = createSessionStore({
+    ttlMs: (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+// Failed logins per IP and per username (LOGIN_MAX_ATTEMPTS, default 10, per LOGIN_WINDOW_MINUTES, default 15)
+const loginAttempts = createAttemptLimiter({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10,
+    windowMs: (parseFloat(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000
+});
+
+// First start: ADMIN_USERNAME / ADMIN_PASSWORD create the initial admin account
+if (agents.list().length === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    const bootstrap = { username: process.env.ADMIN_USERNAME, name: process.env.ADMIN_NAME || process.env.ADMIN_USERNAME, role: 'admin', password: process.env.ADMIN_PASSWORD };
+    const invalid = validateAgent(bootstrap, true);
+    if (invalid) logger.warn('Initial admin not created', { reason: invalid });
+    else logger.info('Created initial admin', { username: agents.set(bootstrap).agent.username });
+}
 
-const GRAPHQL_URL = 'https://api.transparenta.eu/graphql';
+// Every request: resolve "Authorization: Bearer <token>" to req.agent (or null)
+app.use((req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const session = match ? sessions.get(match[1]) : null;
+    req.sessionToken = session ? match[1] : null;
+    req.agent = session ? publicAgent(agents.get(session.username)) : null;
+    next();
+});
+
+// 401 when not signed in, 403 when signed in below minRole
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!req.agent) return res.status(401).json({ error: 'Login required' });
+        if (!hasRole(req.agent, minRole)) return res.status(403).json({ error: `Requires role ${minRole}` });
+        next();
+    };
+}
 
 // Strip Romanian diacritics to ASCII (transparenta.eu often stores names in ASCII)
 function stripDiacritics(s) {
@@ -23,25 +166,155 @@ function stripDiacritics(s) {
         .replace(/[țţ]/gi, m => m === m.toLowerCase() ? 't' : 'T');
 }
 
-// Helper: execute GraphQL query
-async function graphql(query, variables) {
-    const res = await fetch(GRAPHQL_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, variables })
-    });
-    if (!res.ok) throw new Error(`GraphQL request failed: ${res.status}`);
-    const data = await res.json();
-    if (data.errors) throw new Error(data.errors.map(e => e.message).join(', '));
+// Per-request context threaded through the upstream helpers
+// (req.id / req.log come from the request-ID middleware)
+function createRequestContext(req) {
+    return {
+        requestId: req?.id || null,
+        log: req?.log || logger,
+        cache: { hits: 0, stale: 0, misses: 0, oldestFetchedAt: null },
+        upstream: { errors: [] }
+    };
+}
+
+// 'ok' – every upstream call succeeded
+// 'degraded' – some calls failed but there is data to show (it may be incomplete)
+// 'unavailable' – calls failed and nothing usable came back: not the same as "no data"
+function upstreamSummary(ctx, hasData) {
+    const { errors } = ctx.upstream;
+    if (errors.length === 0) return { upstreamStatus: 'ok' };
+
+    const byCode = {};
+    for (const e of errors) {
+        byCode[e.code] = byCode[e.code] || { code: e.code, message: e.message, count: 0 };
+        byCode[e.code].count++;
+    }
+    return {
+        upstreamStatus: hasData ? 'degraded' : 'unavailable',
+        upstreamErrors: Object.values(byCode)
+    };
+}
+
+// Summarize how much of a response came from cache (ageSeconds = oldest entry used)
+function cacheSummary(ctx) {
+    const { hits, stale, misses, oldestFetchedAt } = ctx.cache;
+    return {
+        hits, stale, misses,
+        ageSeconds: oldestFetchedAt ? Math.round((Date.now() - oldestFetchedAt) / 1000) : 0
+    };
+}
+
+// Helper: one GraphQL POST, timed for /metrics
+async function fetchGraphQLOnce(query, variables) {
+    const started = process.hrtime.bigint();
+    let outcome = 'ok';
+    try {
+        return await postGraphQL(query, variables);
+    } catch (err) {
+        outcome = err.code || 'UPSTREAM_ERROR';
+        throw err;
+    } finally {
+        upstreamDuration.observe({ operation: operationName(query), outcome },
+            Number(process.hrtime.bigint() - started) / 1e9);
+    }
+}
+
+// Every failure becomes an upstreamError() with a code
+async function postGraphQL(query, variables) {
+    let res;
+    try {
+        res = await fetch(GRAPHQL_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables }),
+            timeout: UPSTREAM_TIMEOUT_MS
+        });
+    } catch (e) {
+        throw upstreamError(`GraphQL request failed: ${e.message}`, { retryable: true });
+    }
+
+    if (res.status === 429) {
+        throw upstreamError('GraphQL request rate-limited: 429', {
+            code: 'RATE_LIMITED', status: 429, retryable: true,
+            retryAfterMs: parseRetryAfter(res.headers.get('retry-after'))
+        });
+    }
+    if (!res.ok) {
+        throw upstreamError(`GraphQL request failed: ${res.status}`, {
+            code: res.status >= 500 ? 'UPSTREAM_ERROR' : 'QUERY_ERROR',
+            status: res.status,
+            retryable: res.status >= 500
+        });
+    }
+
+    let data;
+    try {
+        data = await res.json();
+    } catch (e) {
+        throw upstreamError(`GraphQL response was not JSON: ${e.message}`, { retryable: true });
+    }
+    if (data.errors) {
+        throw upstreamError(data.errors.map(e => e.message).join(', '), { code: 'QUERY_ERROR' });
+    }
     return data.data;
 }
 
+// Helper: execute GraphQL query against transparenta.eu (no cache)
+async function graphqlUpstream(query, variables, ctx) {
+    if (GRAPHQL_MODE === 'replay') {
+        const fixture = fixtures.load(query, variables);
+        if (!fixture) throw upstreamError('No fixture recorded for this request (GRAPHQL_MODE=replay)');
+        return fixture.data;
+    }
+
+    const data = await breaker.run(() => withRetry(() => fetchGraphQLOnce(query, variables), {
+        attempts: UPSTREAM_ATTEMPTS,
+        onRetry: (err, attempt, delay) => (ctx?.log || logger).warn('Upstream call failed, retrying', {
+            operation: operationName(query),
+            error: err,
+            attempt,
+            of: UPSTREAM_ATTEMPTS - 1,
+            delayMs: Math.round(delay)
+        })
+    }));
+    if (GRAPHQL_MODE === 'record') fixtures.save(query, variables, data);
+    return data;
+}
+
+// Helper: execute GraphQL query through the cache
+// ctx.throttle (optional) is awaited before every real upstream call, never on cache hits
+// Failures are recorded on ctx.upstream before being rethrown, so callers that
+// swallow them (e.g. the financial year loop) still end up in upstreamStatus
+async function graphql(query, variables, ctx) {
+    let result;
+    try {
+        result = await cache.fetchThrough(query, variables, async () => {
+            if (ctx?.throttle) await ctx.throttle();
+            return graphqlUpstream(query, variables, ctx);
+        });
+    } catch (err) {
+        if (ctx) ctx.upstream.errors.push({ code: err.code || 'UPSTREAM_ERROR', message: err.message });
+        throw err;
+    }
+    const { data, fetchedAt, status } = result;
+    cacheLookups.inc({ result: status });
+    if (ctx) {
+        if (status === 'hit') ctx.cache.hits++;
+        else if (status === 'stale') ctx.cache.stale++;
+        else ctx.cache.misses++;
+        if (!ctx.cache.oldestFetchedAt || fetchedAt < ctx.cache.oldestFetchedAt) {
+            ctx.cache.oldestFetchedAt = fetchedAt;
+        }
+    }
+    return data;
+}
+
 // ============================================================
 // GET /api/entity-data?county=Bihor&name=Rosia
 // Combined endpoint – search + financial + housing in one call
 // ============================================================
 // Helper: search entities via GraphQL
-async function searchEntities(searchTerm) {
+async function searchEntities(searchTerm, ctx) {
     const data = await graphql(`
         query EntitySearch($search: String, $limit: Int) {
             entities(filter: { search: $search }, limit: $limit) {
@@ -56,7 +329,7 @@ async function searchEntities(searchTerm) {
                 }
             }
         }
-    `, { search: searchTerm, limit: 30 });
+    `, { search: searchTerm, limit: 30 }, ctx);
     return data.entities?.nodes || [];
 }
 
@@ -67,30 +340,43 @@ async function searchEntities(searchTerm) {
 // Everything else is ignored. No blacklist needed.
 // ============================================================
 
-function isUATEntity(n) {
+// Why a node is not a UAT entity (null = it is one)
+function uatRejectionReason(n) {
     const nm = stripDiacritics((n.name || '').toUpperCase().trim());
     // Must start with ORAS/COMUNA/MUN/PRIMARIA
-    if (!/^(ORAS\b|ORASUL\b|COMUNA\b|MUN\b|MUNICIPIUL\b|PRIMARIA\b)/.test(nm)) return false;
+    if (!/^(ORAS\b|ORASUL\b|COMUNA\b|MUN\b|MUNICIPIUL\b|PRIMARIA\b)/.test(nm)) return 'NOT_UAT_PREFIX';
     // Reject subsidiary services: "COMUNA X SERVICIUL PUBLIC DE..."
-    if (/SERVICIUL|SERVICIU |GOSPODARI|ALIMENTARE|EXPLOATARE|INTRETINERE/.test(nm)) return false;
-    return true;
+    if (/SERVICIUL|SERVICIU |GOSPODARI|ALIMENTARE|EXPLOATARE|INTRETINERE/.test(nm)) return 'SUBSIDIARY_SERVICE';
+    return null;
 }
 
-// Find best entity match from a list of nodes
-function findBestMatch(nodes, countyUpper, nameUpper) {
+function isUATEntity(n) {
+    return uatRejectionReason(n) === null;
+}
+
+// Find best entity match from a list of nodes, and explain the decision:
+// { match, rule, candidates, rejected: [{ node, reason }] }
+// rule = 1..5 (priority rule that picked the match) or null
+function explainMatch(nodes, countyUpper, nameUpper) {
     const norm = (s) => stripDiacritics((s || '').toUpperCase().normalize('NFC')).replace(/-/g, ' ');
     const countyNorm = norm(countyUpper);
     const nameNorm = norm(nameUpper);
 
     // Step 1: filter to same county + UAT entities only (ORAS/COMUNA/MUN/PRIMARIA)
-    const candidates = nodes
-        .filter(n => {
-            const cn = norm(n.uat?.county_name);
-            return cn === countyNorm || cn.includes(countyNorm) || countyNorm.includes(cn);
-        })
-        .filter(n => isUATEntity(n));
-
-    if (candidates.length === 0) return null;
+    const rejected = [];
+    const candidates = nodes.filter(n => {
+        const cn = norm(n.uat?.county_name);
+        if (!(cn === countyNorm || cn.includes(countyNorm) || countyNorm.includes(cn))) {
+            rejected.push({ node: n, reason: 'COUNTY_MISMATCH' });
+            return false;
+        }
+        const reason = uatRejectionReason(n);
+        if (reason) {
+            rejected.push({ node: n, reason });
+            return false;
+        }
+        return true;
+    });
 
     // "endsWith" check: e.g. "MUNICIPIUL BISTRITA" ends with "BISTRITA"
     const endsWithName = (s) => {
@@ -98,227 +384,1004 @@ function findBestMatch(nodes, countyUpper, nameUpper) {
         return sn === nameNorm || sn.endsWith(' ' + nameNorm);
     };
 
-    // Priority 1: exact UAT name match
-    return candidates.find(n => norm(n.uat?.name) === nameNorm)
-    // Priority 2: UAT name ends with the search name
-        || candidates.find(n => endsWithName(n.uat?.name))
-    // Priority 3: entity name ends with the search name
-        || candidates.find(n => endsWithName(n.name))
-    // Priority 4: UAT name contains the search name
-        || candidates.find(n => norm(n.uat?.name).includes(nameNorm))
-    // Priority 5: entity name contains the search name
-        || candidates.find(n => norm(n.name).includes(nameNorm))
-        || null;
+    const rules = [
+        // Priority 1: exact UAT name match
+        n => norm(n.uat?.name) === nameNorm,
+        // Priority 2: UAT name ends with the search name
+        n => endsWithName(n.uat?.name),
+        // Priority 3: entity name ends with the search name
+        n => endsWithName(n.name),
+        // Priority 4: UAT name contains the search name
+        n => norm(n.uat?.name).includes(nameNorm),
+        // Priority 5: entity name contains the search name
+        n => norm(n.name).includes(nameNorm)
+    ];
+
+    for (let i = 0; i < rules.length; i++) {
+        const match = candidates.find(rules[i]);
+        if (match) return { match, rule: i + 1, candidates, rejected };
+    }
+    return { match: null, rule: null, candidates, rejected };
 }
 
-app.get('/api/entity-data', async (req, res) => {
-    try {
-        const { county, name } = req.query;
-        if (!county || !name) {
-            return res.status(400).json({ error: 'county and name are required' });
+function findBestMatch(nodes, countyUpper, nameUpper) {
+    return explainMatch(nodes, countyUpper, nameUpper).match;
+}
+
+// Human-readable descriptions of the priority rules (for /api/entity-debug)
+const MATCH_RULES = {
+    1: 'exact UAT name match',
+    2: 'UAT name ends with the search name',
+    3: 'entity name ends with the search name',
+    4: 'UAT name contains the search name',
+    5: 'entity name contains the search name'
+};
+
+// ============================================================
+// Direct lookup by CUI / SIRUTA — deterministic, no fuzzy search
+// ============================================================
+const ENTITY_FIELDS = `
+    name
+    cui
+    uat {
+        county_name
+        name
+        siruta_code
+    }
+`;
+
+async function fetchEntityByCui(cui, ctx) {
+    const data = await graphql(`
+        query EntityByCui($cui: ID!) {
+            entity(cui: $cui) {${ENTITY_FIELDS}}
         }
+    `, { cui: String(cui) }, ctx);
+    return data.entity || null;
+}
+
+async function fetchEntityBySiruta(siruta, ctx) {
+    const data = await graphql(`
+        query EntityBySiruta($filter: EntityFilter, $limit: Int) {
+            entities(filter: $filter, limit: $limit) {
+                nodes {${ENTITY_FIELDS}}
+            }
+        }
+    `, { filter: { uat_siruta_codes: [String(siruta)], is_uat: true }, limit: 10 }, ctx);
+    const nodes = (data.entities?.nodes || [])
+        .filter(n => String(n.uat?.siruta_code) === String(siruta));
+    // Several entities can share a SIRUTA (schools, services) — prefer the primărie
+    return nodes.find(n => isUATEntity(n)) || nodes[0] || null;
+}
 
-        const countyUpper = county.toUpperCase();
-        const nameUpper = name.toUpperCase();
-
-        // Build search strategies – include hyphenated variant if name has spaces
-        const nameHyphen = name.includes(' ') ? name.replace(/ /g, '-') : null;
-        const nameAscii = stripDiacritics(name);
-        const countyAscii = stripDiacritics(county);
-        const hasSpecialChars = nameAscii !== name;
-
-        const searchStrategies = [
-            `Primaria ${name} ${county}`,     // Most specific: "Primaria Șcheia Suceava"
-            `Municipiul ${name} ${county}`,    // For cities: "Municipiul Deva Hunedoara"
-            `Orașul ${name} ${county}`,         // For towns: "Orașul Beclean Bistrița-Năsăud"
-            `Comuna ${name} ${county}`,        // "Comuna Berchișești Suceava"
-            `${name} ${county}`,               // Generic: "Șcheia Suceava"
-            `Primaria ${name}`,                // Without county: "Primaria Iași"
-            `Municipiul ${name}`,              // Without county: "Municipiul Brașov"
-            `Orașul ${name}`,                   // Without county: "Orașul Beclean"
-            `Comuna ${name}`,                  // Without county: "Comuna Șcheia"
-            name,                              // Just the name: "Beclean"
-        ];
-
-        // Add ASCII (diacritics-stripped) variants — transparenta.eu often stores names in ASCII
+// Build search strategies for a county + name pair (most specific first)
+function buildSearchStrategies(county, name) {
+    // Build search strategies – include hyphenated variant if name has spaces
+    const nameHyphen = name.includes(' ') ? name.replace(/ /g, '-') : null;
+    const nameAscii = stripDiacritics(name);
+    const countyAscii = stripDiacritics(county);
+    const hasSpecialChars = nameAscii !== name;
+
+    const searchStrategies = [
+        `Primaria ${name} ${county}`,     // Most specific: "Primaria Șcheia Suceava"
+        `Municipiul ${name} ${county}`,    // For cities: "Municipiul Deva Hunedoara"
+        `Orașul ${name} ${county}`,         // For towns: "Orașul Beclean Bistrița-Năsăud"
+        `Comuna ${name} ${county}`,        // "Comuna Berchișești Suceava"
+        `${name} ${county}`,               // Generic: "Șcheia Suceava"
+        `Primaria ${name}`,                // Without county: "Primaria Iași"
+        `Municipiul ${name}`,              // Without county: "Municipiul Brașov"
+        `Orașul ${name}`,                   // Without county: "Orașul Beclean"
+        `Comuna ${name}`,                  // Without county: "Comuna Șcheia"
+        name,                              // Just the name: "Beclean"
+    ];
+
+    // Add ASCII (diacritics-stripped) variants — transparenta.eu often stores names in ASCII
+    if (hasSpecialChars) {
+        searchStrategies.push(
+            `Primaria ${nameAscii} ${countyAscii}`,
+            `Municipiul ${nameAscii} ${countyAscii}`,
+            `Orasul ${nameAscii} ${countyAscii}`,
+            `Primaria ${nameAscii}`,
+            `Municipiul ${nameAscii}`,
+            `Orasul ${nameAscii}`,
+            `Comuna ${nameAscii}`,
+            nameAscii,
+        );
+    }
+
+    // Add hyphenated variants for names with spaces (e.g. "Piatra Neamț" → "Piatra-Neamț")
+    if (nameHyphen) {
+        const nameHyphenAscii = stripDiacritics(nameHyphen);
+        searchStrategies.push(
+            `Municipiul ${nameHyphen} ${county}`,
+            `Orașul ${nameHyphen} ${county}`,
+            `${nameHyphen} ${county}`,
+            `Primaria ${nameHyphen}`,
+            `Municipiul ${nameHyphen}`,
+            nameHyphen
+        );
         if (hasSpecialChars) {
             searchStrategies.push(
-                `Primaria ${nameAscii} ${countyAscii}`,
-                `Municipiul ${nameAscii} ${countyAscii}`,
-                `Orasul ${nameAscii} ${countyAscii}`,
-                `Primaria ${nameAscii}`,
-                `Municipiul ${nameAscii}`,
-                `Orasul ${nameAscii}`,
-                `Comuna ${nameAscii}`,
-                nameAscii,
+                `Municipiul ${nameHyphenAscii}`,
+                `Primaria ${nameHyphenAscii}`,
+                nameHyphenAscii
             );
         }
+    }
 
-        // Add hyphenated variants for names with spaces (e.g. "Piatra Neamț" → "Piatra-Neamț")
-        if (nameHyphen) {
-            const nameHyphenAscii = stripDiacritics(nameHyphen);
-            searchStrategies.push(
-                `Municipiul ${nameHyphen} ${county}`,
-                `Orașul ${nameHyphen} ${county}`,
-                `${nameHyphen} ${county}`,
-                `Primaria ${nameHyphen}`,
-                `Municipiul ${nameHyphen}`,
-                nameHyphen
-            );
-            if (hasSpecialChars) {
-                searchStrategies.push(
-                    `Municipiul ${nameHyphenAscii}`,
-                    `Primaria ${nameHyphenAscii}`,
-                    nameHyphenAscii
-                );
-            }
+    // Deduplicate search strategies (keep order)
+    const seen = new Set();
+    return searchStrategies.filter(s => {
+        if (seen.has(s)) return false;
+        seen.add(s);
+        return true;
+    });
+}
+
+// Walk the search cascade until findBestMatch() accepts a node
+async function searchEntityByName(county, name, ctx) {
+    const countyUpper = county.toUpperCase();
+    const nameUpper = name.toUpperCase();
+
+    const strategies = buildSearchStrategies(county, name);
+    for (let i = 0; i < strategies.length; i++) {
+        const nodes = await searchEntities(strategies[i], ctx);
+        const match = findBestMatch(nodes, countyUpper, nameUpper);
+        if (match) {
+            searchDepth.observe({ outcome: 'found' }, i + 1);
+            ctx.log.debug('Search matched', { county, name, term: strategies[i], depth: i + 1, cui: match.cui });
+            return match;
+        }
+    }
+    searchDepth.observe({ outcome: 'not_found' }, strategies.length);
+    ctx.log.info('Search found no UAT entity', { county, name, termsTried: strategies.length });
+    return null;
+}
+
+// Resolve the entity: cui= wins over siruta=, both skip the fuzzy search.
+// For county+name, a manual override (if any) is tried before searching.
+async function resolveEntity({ county, name, siruta, cui }, ctx) {
+    if (cui) return { match: await fetchEntityByCui(cui, ctx), resolvedBy: 'cui' };
+    if (siruta) return { match: await fetchEntityBySiruta(siruta, ctx), resolvedBy: 'siruta' };
+
+    const override = overrides.get(county, name);
+    if (override) {
+        const match = override.cui
+            ? await fetchEntityByCui(override.cui, ctx)
+            : await fetchEntityBySiruta(override.siruta, ctx);
+        if (match) return { match, resolvedBy: 'override' };
+        ctx.log.warn('Override target not found upstream, falling back to search', {
+            county, name, cui: override.cui, siruta: override.siruta
+        });
+    }
+
+    return { match: await searchEntityByName(county, name, ctx), resolvedBy: 'search' };
+}
+
+// ============================================================
+// Data-quality warnings, returned as `warnings: [{ code, message, details }]`
+//   HOUSING_EXCEEDS_TYPE_CAP – INS count above the cap for the UAT type; housing dropped
+//                              (usually county-level data under the UAT's SIRUTA)
+//                              Bucharest's sectors are capped like a municipiu
+//   TERRITORY_MISMATCH       – INS territory name differs from the requested UAT
+//   STALE_YEAR               – latest financial / housing year is older than expected
+//   FINANCIAL_MISSING        – no property-tax data for any year tried
+// ============================================================
+const HOUSING_CAPS = { municipiu: 200000, sector: 200000, 'oraș': 50000, 'comună': 15000 };
+const HOUSING_STALE_AFTER_YEARS = 5; // INS LOC101B lags the budget data by a couple of years
+
+// municipiu / sector / oraș / comună: romania_uat.js when the request named the UAT,
+// otherwise the entity name ("MUNICIPIUL X", "PRIMARIA SECTORULUI 1", "ORAS X", "COMUNA X")
+function uatTypeOf(match, county, name) {
+    const known = ROMANIA_UAT[county]?.[name];
+    if (known) return known.tip;
+    const entityName = stripDiacritics((match.name || '').toUpperCase());
+    if (/^(MUNICIPIUL|MUN)\b/.test(entityName)) return 'municipiu';
+    if (/\bSECTOR(UL|ULUI)? \d\b/.test(entityName)) return 'sector';
+    if (/^ORAS(UL)?\b/.test(entityName)) return 'oraș';
+    return 'comună';
+}
+
+// Returns { housing (null when rejected), warnings }
+function checkDataQuality({ match, name, county, financial, financialFailedYears = [], housing }, ctx) {
+    const warnings = [];
+    const warn = (code, message, details) => {
+        warnings.push({ code, message, details });
+        ctx.log.warn(message, { code, county, name, ...details });
+    };
+
+    if (housing && housing.count) {
+        const uatType = uatTypeOf(match, county, name);
+        const cap = HOUSING_CAPS[uatType] ?? HOUSING_CAPS.municipiu;
+        if (housing.count > cap) {
+            sanityRejections.inc({ check: 'housing_cap' });
+            warn('HOUSING_EXCEEDS_TYPE_CAP', `Housing count exceeds the ${uatType} cap, rejected as county-level data`,
+                { count: housing.count, cap, uatType, year: housing.year });
+            housing = null;
+        }
+    }
+
+    // Territory name check uses ASCII normalization
+    if (housing && housing.territory) {
+        const territoryNorm = stripDiacritics(housing.territory.toUpperCase().replace(/-/g, ' '));
+        const nameNorm = stripDiacritics(name.toUpperCase().replace(/-/g, ' '));
+        if (!territoryNorm.includes(nameNorm) && !nameNorm.includes(territoryNorm)) {
+            sanityRejections.inc({ check: 'territory_mismatch' });
+            warn('TERRITORY_MISMATCH', 'Housing territory does not match the requested UAT',
+                { territory: housing.territory, requested: name });
+        }
+    }
+
+    // A year that failed upstream says nothing about whether the data exists:
+    // report the failure instead of "missing" / "stale"
+    const newerFailed = financialFailedYears.filter(y => !financial || y > financial.year);
+    if (newerFailed.length > 0) {
+        warn('UPSTREAM_UNAVAILABLE', 'Property-tax data could not be fetched for some years',
+            { field: 'financial', yearsFailed: newerFailed, year: financial ? financial.year : null });
+    } else if (!financial) {
+        warn('FINANCIAL_MISSING', 'No property-tax data for any year tried', { yearsTried: FINANCIAL_YEARS });
+    } else if (financial.year < FINANCIAL_YEARS[0]) {
+        warn('STALE_YEAR', 'Latest property-tax data is older than the newest year available',
+            { field: 'financial', year: financial.year, expectedYear: FINANCIAL_YEARS[0] });
+    }
+    if (housing && housing.year && housing.year < FINANCIAL_YEARS[0] - HOUSING_STALE_AFTER_YEARS) {
+        warn('STALE_YEAR', 'Housing count is older than expected',
+            { field: 'housing', year: housing.year, expectedYear: FINANCIAL_YEARS[0] - HOUSING_STALE_AFTER_YEARS });
+    }
+
+    return { housing, warnings };
+}
+
+// Fetch financial + housing data for a resolved entity and shape the response
+async function buildEntityPayload(match, name, county, resolvedBy, ctx, { history = false } = {}) {
+    const cui = match.cui;
+    const siruta = match.uat?.siruta_code;
+
+    // Step 2: Fetch financial + housing data in parallel
+    // In history mode the latest year of the series doubles as `financial`
+    const financialFailedYears = [];
+    const [financialResult, housingResult] = await Promise.allSettled([
+        history ? fetchFinancialHistory(cui, ctx, financialFailedYears) : fetchFinancialData(cui, ctx, financialFailedYears),
+        siruta ? fetchHousingData(siruta, ctx) : Promise.resolve(null)
+    ]);
+
+    const financialValue = financialResult.status === 'fulfilled' ? financialResult.value : null;
+    const financialHistory = history ? (financialValue || []) : undefined;
+    const financial = history
+        ? financialHistory.filter(y => FINANCIAL_YEARS.includes(y.year)).pop() || null
+        : financialValue;
+    const housingValue = housingResult.status === 'fulfilled' ? housingResult.value : null;
+
+    // Step 3: planned amounts for the same year → real collection rate
+    let collection = null;
+    try {
+        collection = await fetchCollectionData(cui, financial, ctx);
+    } catch (e) {
+        ctx.log.error('Collection data error', { cui, error: e });
+    }
+
+    // Sanity checks may drop the housing count; warnings say why
+    const quality = checkDataQuality({ match, name, county, financial, financialFailedYears, housing: housingValue }, ctx);
+    const housing = quality.housing;
+
+    return {
+        entity: {
+            cui: match.cui,
+            siruta: match.uat?.siruta_code,
+            name: match.name,
+            county: match.uat?.county_name,
+            uatName: match.uat?.name
+        },
+        resolvedBy,
+        financial,
+        ...(history && { financialHistory }),
+        collection,
+        housing,
+        warnings: quality.warnings,
+        cache: cacheSummary(ctx),
+        ...upstreamSummary(ctx, Boolean(financial || housing))
+    };
+}
+
+// Validate one lookup request; returns an error message or null
+function validateLookup({ county, name, siruta, cui }) {
+    if (!siruta && !cui && (!county || !name)) {
+        return 'county and name (or siruta / cui) are required';
+    }
+    if ((siruta && !/^\d+$/.test(siruta)) || (cui && !/^\d+$/.test(cui))) {
+        return 'siruta and cui must be numeric';
+    }
+    return null;
+}
+
+// Resolve one UAT and fetch its data; returns { status, body } so the single
+// and batch endpoints answer with exactly the same payload
+async function lookupEntityData(params, ctx) {
+    const county = params.county ? String(params.county) : undefined;
+    const name = params.name ? String(params.name) : undefined;
+    const siruta = params.siruta ? String(params.siruta) : undefined;
+    const cui = params.cui ? String(params.cui) : undefined;
+    const history = params.history === true || params.history === '1' || params.history === 'true';
+
+    const count = (outcome, resolvedBy = '') => entityLookups.inc({ outcome, resolved_by: resolvedBy });
+
+    const invalid = validateLookup({ county, name, siruta, cui });
+    if (invalid) {
+        count('invalid');
+        return { status: 400, body: { error: invalid } };
+    }
+
+    let resolved;
+    try {
+        resolved = await resolveEntity({ county, name, siruta, cui }, ctx);
+    } catch (err) {
+        if (!err.upstream) throw err;
+        count('upstream_error');
+        // Upstream down / rate-limited: say so instead of "not found"
+        return { status: 503, body: { error: err.message, ...upstreamSummary(ctx, false) } };
+    }
+    const { match, resolvedBy } = resolved;
+
+    if (!match && ctx.upstream.errors.length > 0) {
+        count('upstream_error', resolvedBy);
+        return { status: 503, body: { error: 'Upstream unavailable', ...upstreamSummary(ctx, false) } };
+    }
+    if (!match) {
+        const searched = cui ? `cui ${cui}` : siruta ? `siruta ${siruta}` : `${name} ${county}`;
+        count('not_found', resolvedBy);
+        ctx.log.info('Entity not found', { searched });
+        return { status: 404, body: { error: 'Entity not found', searched } };
+    }
+    count('found', resolvedBy);
+
+    // Direct lookups have no user-typed name: sanity-check against the UAT's own name
+    const uatLabel = name || match.uat?.name || '';
+    const countyLabel = county || match.uat?.county_name || '';
+
+    return { status: 200, body: await buildEntityPayload(match, uatLabel, countyLabel, resolvedBy, ctx, { history }) };
+}
+
+// GET /api/entity-data?county=Bihor&name=Rosia
+// GET /api/entity-data?siruta=26564   (direct, no fuzzy search)
+// GET /api/entity-data?cui=4245763    (direct, no fuzzy search)
+// Add &history=1 to also get `financialHistory`: one entry per year with data
+app.get('/api/entity-data', async (req, res) => {
+    try {
+        const { status, body } = await lookupEntityData(req.query, createRequestContext(req));
+        res.status(status).json(body);
+    } catch (err) {
+        req.log.error('Entity data error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================================
+// POST /api/entity-data/batch
+// Body: { items: [{ county, name } | { siruta } | { cui }, ...], concurrency? }
+// Each item may also carry history: true
+// Returns one /api/entity-data payload (plus input + status) per item, in order
+// ============================================================
+const BATCH_MAX_ITEMS = 200;
+const BATCH_MAX_CONCURRENCY = 4;
+const BATCH_DEFAULT_CONCURRENCY = 2;
+// Minimum spacing between real upstream calls made on behalf of batches (shared by all batches)
+const BATCH_UPSTREAM_INTERVAL_MS = parseInt(process.env.BATCH_UPSTREAM_INTERVAL_MS, 10) || 250;
+
+// Returns an async function that resolves at most once per intervalMs
+function createThrottle(intervalMs) {
+    let next = 0;
+    return () => {
+        const now = Date.now();
+        const wait = Math.max(0, next - now);
+        next = Math.max(now, next) + intervalMs;
+        return wait > 0 ? new Promise(r => setTimeout(r, wait)) : Promise.resolve();
+    };
+}
+
+const batchThrottle = createThrottle(BATCH_UPSTREAM_INTERVAL_MS);
+
+// Run fn over items with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let cursor = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (cursor < items.length) {
+            const i = cursor++;
+            results[i] = await fn(items[i], i);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+app.post('/api/entity-data/batch', async (req, res) => {
+    const { items, concurrency } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+        return res.status(400).json({ error: `at most ${BATCH_MAX_ITEMS} items per batch` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(concurrency, 10) || BATCH_DEFAULT_CONCURRENCY, 1), BATCH_MAX_CONCURRENCY);
+
+    const results = await mapWithConcurrency(items, limit, async (item, i) => {
+        const input = item && typeof item === 'object' ? item : {};
+        try {
+            const ctx = createRequestContext(req);
+            ctx.log = ctx.log.child({ batchItem: i });
+            ctx.throttle = batchThrottle;
+            const { status, body } = await lookupEntityData(input, ctx);
+            return { input, status, ...body };
+        } catch (err) {
+            req.log.error('Batch entity data error', { batchItem: i, error: err });
+            return { input, status: 500, error: err.message };
         }
+    });
+
+    res.json({
+        count: results.length,
+        found: results.filter(r => r.status === 200).length,
+        results
+    });
+});
+
+// ============================================================
+// Login
+// POST /api/auth/login   → { username, password } → { token, expiresAt, agent }
+// POST /api/auth/logout
+// GET  /api/auth/me      → { agent }
+// Send the token as "Authorization: Bearer <token>"
+// ============================================================
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+
+    const keys = [`ip:${req.ip}`, `user:${String(username).trim().toLowerCase()}`];
+    const waitMs = Math.max(...keys.map(k => loginAttempts.retryAfterMs(k)));
+    if (waitMs > 0) {
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+    }
+
+    try {
+        const agent = await agents.authenticate(username, password);
+        if (!agent) {
+            keys.forEach(k => loginAttempts.fail(k));
+            req.log.warn('Login failed', { username: String(username), ip: req.ip });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        // Only the username's count: a valid login must not clear its IP's failures on other accounts
+        loginAttempts.reset(keys[1]);
+        res.json({ ...sessions.create(agent.username), agent: publicAgent(agent) });
+    } catch (err) {
+        req.log.error('Login error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    if (req.sessionToken) sessions.destroy(req.sessionToken);
+    res.status(204).end();
+});
+
+app.get('/api/auth/me', requireRole('agent'), (req, res) => {
+    res.json({ agent: req.agent });
+});
+
+// ============================================================
+// Agent accounts (admin)
+// GET    /api/agents
+// POST   /api/agents              → add / update { username, name?, role?, password? }
+// DELETE /api/agents/:username
+// ============================================================
+app.get('/api/agents', requireRole('admin'), (req, res) => {
+    res.json({ roles: ROLES, agents: agents.list() });
+});
+
+app.post('/api/agents', requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    const created = !agents.get(body.username);
+    const invalid = validateAgent(body, created);
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+        const result = agents.set(body);
+        // New password or role: existing sessions must log in again
+        if (!created && (body.password || body.role)) sessions.destroyUser(result.agent.username);
+        res.status(result.created ? 201 : 200).json(result.agent);
+    } catch (err) {
+        req.log.error('Agent save error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/agents/:username', requireRole('admin'), (req, res) => {
+    if (agents.get(req.params.username)?.username === req.agent.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    try {
+        const removed = agents.remove(req.params.username);
+        if (!removed) return res.status(404).json({ error: 'Agent not found' });
+        sessions.destroyUser(removed.username);
+        res.json(removed);
+    } catch (err) {
+        req.log.error('Agent delete error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================================
+// Manual entity overrides
+// GET    /api/overrides                      → list (manager)
+// POST   /api/overrides                      → add / replace { county, name, cui?, siruta?, note? } (admin)
+// DELETE /api/overrides/:county/:name        → remove (admin)
+// ============================================================
+app.get('/api/overrides', requireRole('manager'), (req, res) => {
+    res.json({ overrides: overrides.list() });
+});
+
+app.post('/api/overrides', requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    const invalid = validateOverride(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+        const { entry, created } = overrides.set(body);
+        res.status(created ? 201 : 200).json(entry);
+    } catch (err) {
+        req.log.error('Override save error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/overrides/:county/:name', requireRole('admin'), (req, res) => {
+    try {
+        const removed = overrides.remove(req.params.county, req.params.name);
+        if (!removed) return res.status(404).json({ error: 'Override not found' });
+        res.json(removed);
+    } catch (err) {
+        req.log.error('Override delete error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================================
+// Model parameters (versioned, see proxy/model-config.js)
+// GET  /api/model[?at=YYYY-MM-DD]  → version in effect (public; the calculator loads it)
+// GET  /api/model/versions         → every version with who / when / what changed (admin)
+// POST /api/model                  → { params (changed fields), effectiveFrom?, note? } (admin)
+// ============================================================
+const publicModel = ({ version, effectiveFrom, params }) => ({ version, effectiveFrom, params });
+
+app.get('/api/model', (req, res) => {
+    const { at } = req.query;
+    if (at !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(at)) return res.status(400).json({ error: 'at must be a date (YYYY-MM-DD)' });
+    res.json(publicModel(modelStore.current(at)));
+});
+
+app.get('/api/model/versions', requireRole('admin'), (req, res) => {
+    res.json({ current: modelStore.current().version, versions: modelStore.list() });
+});
+
+app.post('/api/model', requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    const invalid = validateModelChange(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+        res.status(201).json(modelStore.create(body, req.agent));
+    } catch (err) {
+        req.log.error('Model save error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================================
+// Simulations
+// POST /api/simulations          → body: one record or an array (offline queue)
+// GET  /api/simulations?agent=&county=&commune=&device_id=&from=&to=&limit=&offset=
+// GET  /api/simulations/:id
+// Records are stamped with the signed-in agent; agents only see their own,
+// managers and admins see everyone's.
+// ============================================================
+function canSeeSimulation(agent, record) {
+    return hasRole(agent, 'manager') || record.agent_username === agent.username;
+}
+
+app.post('/api/simulations', requireRole('agent'), (req, res) => {
+    const batch = Array.isArray(req.body) ? req.body : [req.body];
+    if (batch.length === 0 || batch.length > 500) {
+        return res.status(400).json({ error: 'send between 1 and 500 simulations' });
+    }
+    const invalid = batch.map(validateSimulation).find(Boolean);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-        // Deduplicate search strategies (keep order)
-        const seen = new Set();
-        const uniqueStrategies = searchStrategies.filter(s => {
-            if (seen.has(s)) return false;
-            seen.add(s);
-            return true;
+    try {
+        const results = batch.map(r => simulations.add({
+            ...r,
+            agent_username: req.agent.username,
+            agent_name: req.agent.name
+        }));
+        res.status(results.some(r => r.created) ? 201 : 200).json({
+            stored: results.filter(r => r.created).length,
+            ids: results.map(r => r.record.id)
         });
+    } catch (err) {
+        req.log.error('Simulation save error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/simulations', requireRole('agent'), (req, res) => {
+    const filters = hasRole(req.agent, 'manager')
+        ? req.query
+        : { ...req.query, agent_username: req.agent.username };
+    res.json(simulations.query(filters));
+});
+
+app.get('/api/simulations/:id', requireRole('agent'), (req, res) => {
+    const record = simulations.get(req.params.id);
+    if (!record || !canSeeSimulation(req.agent, record)) return res.status(404).json({ error: 'Simulation not found' });
+    res.json(record);
+});
+
+// ============================================================
+// GET /api/report?county=Bihor&name=Roșia
+// GET /api/report?simulation=sim_...
+// The calculator's A4 PDF, rendered server-side (layout: pdf-report.js).
+// county+name simulates with the calculator's defaults and is signed by the
+// requesting agent; a simulation id reproduces exactly what its agent saw.
+// Page 2 is the cash flow (NPV, IRR), page 3 the sensitivity (tornado) analysis,
+// both at the simulation's installment rate.
+// ============================================================
+const DEFAULT_MONTHLY_RATE = 5000; // installment slider start in the calculator
 
-        let match = null;
-        for (const searchTerm of uniqueStrategies) {
-            const nodes = await searchEntities(searchTerm);
-            match = findBestMatch(nodes, countyUpper, nameUpper);
-            if (match) break;
+function sendReport(res, report) {
+    const { filename, buffer } = renderReport(report);
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${encodeURIComponent(filename)}"`
+    });
+    res.send(buffer);
+}
+
+app.get('/api/report', requireRole('agent'), async (req, res) => {
+    try {
+        const { simulation: simulationId, county, name } = req.query;
+
+        if (simulationId) {
+            const sim = simulations.get(simulationId);
+            if (!sim || !canSeeSimulation(req.agent, sim)) return res.status(404).json({ error: 'Simulation not found' });
+            // The model the simulation was made with (older records: the current one)
+            const model = (sim.model_version && modelStore.get(sim.model_version)) || modelStore.current();
+            const results = resultsFromSimulation(sim, model.params);
+            const monthlyRate = sim.monthly_rate_ron || DEFAULT_MONTHLY_RATE;
+            return sendReport(res, {
+                results,
+                agentName: sim.agent_name,
+                county: sim.county,
+                communeName: sim.commune,
+                date: new Date(sim.created_at).toLocaleDateString('ro-RO'),
+                model,
+                cashFlow: bandCashFlows(results, monthlyRate, model.params),
+                sensitivity: sensitivity(results, monthlyRate, model.params)
+            });
         }
 
-        if (!match) {
-            return res.status(404).json({ error: 'Entity not found', searched: `${name} ${county}` });
+        if (!county || !name) {
+            return res.status(400).json({ error: 'county and name, or simulation, are required' });
         }
+        const uat = ROMANIA_UAT[county]?.[name];
+        if (!uat) return res.status(404).json({ error: 'Unknown UAT', county, name });
+
+        const { status, body } = await lookupEntityData({ county, name }, createRequestContext(req));
+        if (status !== 200) return res.status(status).json(body);
 
-        const cui = match.cui;
-        const siruta = match.uat?.siruta_code;
-
-        // Step 2: Fetch financial + housing data in parallel
-        const [financialResult, housingResult] = await Promise.allSettled([
-            fetchFinancialData(cui),
-            siruta ? fetchHousingData(siruta) : Promise.resolve(null)
-        ]);
-
-        const financial = financialResult.status === 'fulfilled' ? financialResult.value : null;
-        let housing = housingResult.status === 'fulfilled' ? housingResult.value : null;
-
-        // Sanity check: reject impossibly high housing counts (likely county-level data)
-        if (housing && housing.count) {
-            const uatName = match.uat?.name || '';
-            const maxHouses = uatName.toUpperCase().includes('MUNICIPIUL') ? 200000
-                : uatName.toUpperCase().includes('ORAȘ') ? 50000
-                    : 15000;
-            if (housing.count > maxHouses) {
-                console.warn(`[SANITY] Housing count ${housing.count} exceeds max ${maxHouses} for "${name}" (${county}). Rejecting as county-level data.`);
-                housing = null;
+        const model = modelStore.current();
+        const results = resultsFromEntityData(body, uat, model.params);
+        if (!results) {
+            return res.status(422).json({ error: 'No property-tax revenue for this UAT', entity: body.entity });
+        }
+        sendReport(res, {
+            results, agentName: req.agent.name, county, communeName: name, model,
+            cashFlow: bandCashFlows(results, DEFAULT_MONTHLY_RATE, model.params),
+            sensitivity: sensitivity(results, DEFAULT_MONTHLY_RATE, model.params)
+        });
+    } catch (err) {
+        req.log.error('Report error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================================
+// POST /api/calculate — the calculator's numbers for given inputs (calc-engine.js)
+// body: { financial, totalHouses?, selectedComponents?, collection?,
+//         targetCollectionRate?, upliftFactor?, pricePerImobil?, coverage?,
+//         monthlyRate? (default 5000), rang?, tip?,
+//         county? + name? (fill rang / tip from romania_uat.js) }
+// → { model (version in effect), results (calculationResults),
+//     installments (with the year-by-year cashFlow: NPV, IRR, payback), sensitivity }
+// Infinity (no payback / break-even) is sent as null.
+// ============================================================
+
+app.post('/api/calculate', (req, res) => {
+    const body = req.body || {};
+    const error = validateInputs(body);
+    if (error) return res.status(400).json({ error });
+
+    const uat = body.county && body.name ? ROMANIA_UAT[body.county]?.[body.name] : null;
+    if ((body.county || body.name) && !uat) {
+        return res.status(404).json({ error: 'Unknown UAT', county: body.county, name: body.name });
+    }
+
+    const model = modelStore.current();
+    const monthlyRate = body.monthlyRate || DEFAULT_MONTHLY_RATE;
+    const results = calculate({ ...body, rang: body.rang ?? uat?.rang, tip: body.tip ?? uat?.tip }, model.params);
+    res.json({
+        model: publicModel(model),
+        results,
+        installments: calculateInstallments(results, monthlyRate, model.params),
+        sensitivity: sensitivity(results, monthlyRate, model.params)
+    });
+});
+
+// ============================================================
+// GET /api/uats?q=scheia[&county=Suceava][&limit=10]
+// UAT autocomplete across all counties (case-, diacritics- and
+// hyphen-insensitive) — same ranking as the calculator's picker (uat-search.js)
+// ============================================================
+const uatIndex = buildUatIndex(ROMANIA_UAT);
+
+app.get('/api/uats', (req, res) => {
+    const { q, county } = req.query;
+    if (!q || typeof q !== 'string') return res.status(400).json({ error: 'q is required' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    res.json({ query: q, results: searchUats(uatIndex, q, { limit, county }) });
+});
+
+// ============================================================
+// GET /api/county/:county — campaign planning for sales managers
+// Every UAT of the county with current / post-CartInspect revenue, cost,
+// ROI and payback / NPV / IRR (installment cash flow at DEFAULT_MONTHLY_RATE)
+// under the model version in effect (offline uat_data.js figures),
+// county totals, ranks within the county and the county's rank among all.
+// Infinity (no payback, IRR above IRR_MAX) is sent as null.
+// County name is case- and diacritics-insensitive ("arges" → "Argeș").
+// ============================================================
+const countySummary = createCountySummary({
+    uatDataFile: path.join(__dirname, '..', 'uat_data.js'),
+    romaniaUat: ROMANIA_UAT,
+    getModel: () => modelStore.current(),
+    monthlyRate: DEFAULT_MONTHLY_RATE
+});
+
+app.get('/api/county/:county', requireRole('manager'), (req, res) => {
+    try {
+        const summary = countySummary.summarize(req.params.county);
+        if (!summary) return res.status(404).json({ error: 'Unknown county', county: req.params.county });
+        res.json(summary);
+    } catch (err) {
+        req.log.error('County summary error', { error: err });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================================
+// GET /api/entity-debug?county=Suceava&name=Șcheia[&all=1]
+// Explains entity resolution: every search term tried, the raw nodes,
+// which nodes were rejected and why, and which priority rule won.
+// Stops at the first match like /api/entity-data unless all=1.
+// ============================================================
+app.get('/api/entity-debug', async (req, res) => {
+    try {
+        const { county, name, all } = req.query;
+        if (!county || !name) {
+            return res.status(400).json({ error: 'county and name are required' });
+        }
+
+        const ctx = createRequestContext(req);
+        const summarize = (n) => ({
+            name: n.name,
+            cui: n.cui,
+            county: n.uat?.county_name,
+            uatName: n.uat?.name,
+            siruta: n.uat?.siruta_code
+        });
+
+        const attempts = [];
+        let winner = null;
+        for (const term of buildSearchStrategies(county, name)) {
+            let nodes;
+            try {
+                nodes = await searchEntities(term, ctx);
+            } catch (e) {
+                attempts.push({ term, error: e.message });
+                continue;
             }
-            // Also warn if territory name doesn't match (use ASCII normalization)
-            if (housing && housing.territory) {
-                const territoryNorm = stripDiacritics((housing.territory || '').toUpperCase().replace(/-/g, ' '));
-                const nameNorm = stripDiacritics(nameUpper.replace(/-/g, ' '));
-                if (!territoryNorm.includes(nameNorm) && !nameNorm.includes(territoryNorm)) {
-                    console.warn(`[SANITY] Housing territory "${housing.territory}" doesn't match requested "${name}". Data may be wrong.`);
-                }
+            const { match, rule, candidates, rejected } = explainMatch(nodes, county.toUpperCase(), name.toUpperCase());
+            attempts.push({
+                term,
+                nodes,
+                rejected: rejected.map(r => ({ ...summarize(r.node), reason: r.reason })),
+                candidates: candidates.map(summarize),
+                match: match ? summarize(match) : null,
+                rule,
+                ruleDescription: rule ? MATCH_RULES[rule] : null
+            });
+            if (match && !winner) {
+                winner = { term, rule, ruleDescription: MATCH_RULES[rule], entity: summarize(match) };
+                if (all !== '1') break;
             }
         }
 
         res.json({
-            entity: {
-                cui: match.cui,
-                siruta: match.uat?.siruta_code,
-                name: match.name,
-                county: match.uat?.county_name,
-                uatName: match.uat?.name
-            },
-            financial,
-            housing
+            query: { county, name },
+            override: overrides.get(county, name),   // /api/entity-data uses this before searching
+            winner,
+            termsTried: attempts.length,
+            attempts,
+            cache: cacheSummary(ctx)
         });
     } catch (err) {
-        console.error('Entity data error:', err);
+        req.log.error('Entity debug error', { error: err });
         res.status(500).json({ error: err.message });
     }
 });
 
 // ============================================================
-// Fetch financial data using AggregatedLineItems query
-// Tries years 2025 → 2024 → 2023 → 2022
+// Fetch financial data using AggregatedLineItems
+// Default: tries years 2025 → 2024 → 2023 → 2022, returns the first non-empty one
+// History mode: fetches every year in HISTORY_YEARS and returns the full series
 // ============================================================
-async function fetchFinancialData(cui) {
-    const yearsToTry = [2025, 2024, 2023, 2022];
+const FINANCIAL_YEARS = [2025, 2024, 2023, 2022];
 
-    for (const year of yearsToTry) {
-        try {
-            const data = await graphql(`
-                query AggregatedLineItems($filter: AnalyticsFilterInput!, $limit: Int) {
-                    aggregatedLineItems(filter: $filter, limit: $limit) {
-                        nodes {
-                            fn_c: functional_code
-                            fn_n: functional_name
-                            amount
-                        }
-                    }
+// Local property-tax sub-codes returned separately in `components`
+// (clasificația funcțională a veniturilor bugetelor locale)
+const PROPERTY_TAX_CODES = {
+    '07.01.01': 'cladiriFizice',       // Impozit pe clădiri de la persoane fizice
+    '07.01.02': 'cladiriJuridice',     // Impozit pe clădiri de la persoane juridice
+    '07.02.01': 'terenuriFizice',      // Impozit pe terenuri (intravilan) de la persoane fizice
+    '07.02.02': 'terenuriJuridice',    // Impozit pe terenuri (intravilan) de la persoane juridice
+    '07.02.03': 'terenuriExtravilan'   // Impozit pe terenul din extravilan
+};
+const HISTORY_YEARS = [2025, 2024, 2023, 2022, 2021, 2020, 2019, 2018, 2017, 2016];
+// Year queries in flight per history lookup: a cold cache must not fire all ten at once
+const HISTORY_CONCURRENCY = 2;
+
+// Which amounts to read from the revenue execution account:
+//   collected – încasări realizate (what the UAT actually cashed in; the default everywhere)
+//   planned   – drepturi constatate / prevederi (what was assessed for the year)
+const AMOUNT_KINDS = {
+    collected: {},
+    planned: { amount_type: "PLANNED" }
+};
+
+// Returns { year, impozitCladiriFizice, impozitTerenuri, total, components } or null if the year is empty
+// impozitCladiriFizice / impozitTerenuri / total keep their historical meaning (07.01.01 + all of 07.02)
+async function fetchFinancialYear(cui, year, ctx, amountKind = 'collected') {
+    const data = await graphql(`
+        query AggregatedLineItems($filter: AnalyticsFilterInput!, $limit: Int) {
+            aggregatedLineItems(filter: $filter, limit: $limit) {
+                nodes {
+                    fn_c: functional_code
+                    fn_n: functional_name
+                    amount
                 }
-            `, {
-                filter: {
-                    report_period: {
-                        type: "YEAR",
-                        selection: { interval: { start: String(year), end: String(year) } }
-                    },
-                    account_category: "vn",
-                    report_type: "PRINCIPAL_AGGREGATED",
-                    entity_cuis: [cui],
-                    functional_prefixes: ["07.01.01", "07.02"],
-                    is_uat: true,
-                    normalization: "total",
-                    show_period_growth: false,
-                    currency: "RON",
-                    inflation_adjusted: false
-                },
-                limit: 150000
-            });
+            }
+        }
+    `, {
+        filter: {
+            report_period: {
+                type: "YEAR",
+                selection: { interval: { start: String(year), end: String(year) } }
+            },
+            account_category: "vn",
+            report_type: "PRINCIPAL_AGGREGATED",
+            entity_cuis: [cui],
+            functional_prefixes: ["07.01", "07.02"],
+            is_uat: true,
+            normalization: "total",
+            show_period_growth: false,
+            currency: "RON",
+            inflation_adjusted: false,
+            ...AMOUNT_KINDS[amountKind]
+        },
+        limit: 150000
+    }, ctx);
 
-            const nodes = data.aggregatedLineItems?.nodes || [];
-            if (nodes.length === 0) continue;
+    const nodes = data.aggregatedLineItems?.nodes || [];
+    if (nodes.length === 0) return null;
 
-            // fn:07.01.01 – Impozit pe clădiri de la persoane fizice
-            // fn:07.02    – Impozit pe terenuri
-            let impozitCladiriFizice = 0;
-            let impozitTerenuri = 0;
+    // fn:07.01.01 – Impozit pe clădiri de la persoane fizice
+    // fn:07.02    – Impozit pe terenuri (every sub-code, as before)
+    let impozitCladiriFizice = 0;
+    let impozitTerenuri = 0;
+    const components = Object.fromEntries(Object.values(PROPERTY_TAX_CODES).map(k => [k, 0]));
 
-            for (const node of nodes) {
-                const code = node.fn_c || '';
-                const amount = parseFloat(node.amount) || 0;
+    for (const node of nodes) {
+        const code = node.fn_c || '';
+        const amount = parseFloat(node.amount) || 0;
 
-                if (code === '07.01.01') {
-                    impozitCladiriFizice = amount;
-                } else if (code.startsWith('07.02')) {
-                    impozitTerenuri += amount;
-                }
-            }
+        if (code === '07.01.01') {
+            impozitCladiriFizice = amount;
+        } else if (code.startsWith('07.02')) {
+            impozitTerenuri += amount;
+        }
+        // Unlisted 07.02.* sub-codes only count toward impozitTerenuri
+        if (PROPERTY_TAX_CODES[code]) components[PROPERTY_TAX_CODES[code]] += amount;
+    }
 
-            if (impozitCladiriFizice > 0 || impozitTerenuri > 0) {
-                return {
-                    year,
-                    impozitCladiriFizice: Math.round(impozitCladiriFizice * 100) / 100,
-                    impozitTerenuri: Math.round(impozitTerenuri * 100) / 100,
-                    total: Math.round((impozitCladiriFizice + impozitTerenuri) * 100) / 100
-                };
-            }
+    // Only the default-selected amounts make a year usable: a year with nothing but
+    // e.g. legal-entity building tax falls back to an earlier one
+    if (impozitCladiriFizice <= 0 && impozitTerenuri <= 0) return null;
+
+    const round2 = (v) => Math.round(v * 100) / 100;
+    for (const k of Object.keys(components)) components[k] = round2(components[k]);
+
+    return {
+        year,
+        impozitCladiriFizice: round2(impozitCladiriFizice),
+        impozitTerenuri: round2(impozitTerenuri),
+        total: round2(impozitCladiriFizice + impozitTerenuri),
+        components
+    };
+}
+
+// Years that errored upstream are pushed onto failedYears
+async function fetchFinancialData(cui, ctx, failedYears = []) {
+    for (const year of FINANCIAL_YEARS) {
+        try {
+            const result = await fetchFinancialYear(cui, year, ctx);
+            if (result) return result;
         } catch (e) {
-            console.error(`Financial data error for year ${year}:`, e.message);
+            ctx.log.error('Financial data error', { cui, year, error: e });
+            failedYears.push(year);
             continue;
         }
     }
     return null;
 }
 
+// Full series, oldest year first; years without data (or that failed) are left out,
+// failed ones are also pushed onto failedYears
+async function fetchFinancialHistory(cui, ctx, failedYears = []) {
+    const results = await mapWithConcurrency(HISTORY_YEARS, HISTORY_CONCURRENCY, (year) =>
+        fetchFinancialYear(cui, year, ctx).then(
+            value => ({ status: 'fulfilled', value }),
+            reason => ({ status: 'rejected', reason })
+        ));
+    const series = [];
+    results.forEach((r, i) => {
+        if (r.status === 'rejected') {
+            ctx.log.error('Financial history error', { cui, year: HISTORY_YEARS[i], error: r.reason });
+            failedYears.push(HISTORY_YEARS[i]);
+        } else if (r.value) {
+            series.push(r.value);
+        }
+    });
+    return series.sort((a, b) => a.year - b.year);
+}
+
+// ============================================================
+// Collection rate: collected / planned for the same codes and year
+// Returns { year, planned, collected, rate } where planned / collected are the
+// same shape as `financial` (total + components), or null if nothing was planned
+// ============================================================
+async function fetchCollectionData(cui, financial, ctx) {
+    if (!financial) return null;
+    const planned = await fetchFinancialYear(cui, financial.year, ctx, 'planned');
+    if (!planned || !(planned.total > 0)) return null;
+
+    const pick = (f) => ({ total: f.total, components: f.components });
+    return {
+        year: financial.year,
+        planned: pick(planned),
+        collected: pick(financial),
+        rate: Math.round((financial.total / planned.total) * 10000) / 10000
+    };
+}
+
 // ============================================================
 // Fetch housing data from INS LOC101B dataset
 // ============================================================
-async function fetchHousingData(siruta) {
+async function fetchHousingData(siruta, ctx) {
     const data = await graphql(`
         query InsObservations($datasetCode: String!, $filter: InsObservationFilterInput, $limit: Int) {
             insObservations(datasetCode: $datasetCode, filter: $filter, limit: $limit) {
@@ -336,7 +1399,7 @@ async function fetchHousingData(siruta) {
             territoryLevels: ["LAU"]
         },
         limit: 100
-    });
+    }, ctx);
 
     const nodes = data.insObservations?.nodes || [];
     if (nodes.length === 0) return null;
@@ -356,16 +1419,91 @@ async function fetchHousingData(siruta) {
     };
 }
 
-// Health check
+// Prometheus scrape endpoint
+metrics.gauge('cartinspect_cache_entries', 'Entries in the GraphQL cache', [],
+    () => [{ value: cache.getStats().entries }]);
+metrics.gauge('cartinspect_cache_hit_ratio', 'Fresh + stale cache hits / lookups since start', [], () => {
+    const { hits, staleHits, misses } = cache.getStats();
+    const total = hits + staleHits + misses;
+    return [{ value: total ? (hits + staleHits) / total : 0 }];
+});
+metrics.gauge('cartinspect_circuit_state', 'Upstream circuit breaker (1 = current state)', ['state'],
+    () => ['closed', 'half-open', 'open'].map(state => ({ labels: { state }, value: breaker.getState() === state ? 1 : 0 })));
+
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Liveness: the process is up (use /ready to know whether it is useful)
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// ============================================================
+// GET /ready — readiness for Railway's health check
+// 200 "ready" / 200 "degraded" (usable, something to look at) / 503 "not_ready"
+//   upstream     – one cheap uncached GraphQL call (memoized READY_PROBE_TTL_MS)
+//   cache        – entries and age
+//   uatData      – uat_data.js header date + count vs. actual records
+//   consistency  – uat_data.js entries all exist in romania_uat.js
+// ============================================================
+const READY_PROBE_TTL_MS = parseInt(process.env.READY_PROBE_TTL_MS, 10) || 30000;
+const READY_PROBE_CUI = process.env.READY_PROBE_CUI || '4305857'; // Municipiul Cluj-Napoca
+const checkDataFiles = createDataFileCheck({
+    uatDataFile: path.join(__dirname, '..', 'uat_data.js'),
+    romaniaUatFile: path.join(__dirname, '..', 'romania_uat.js')
+});
+let lastProbe = null; // { at, result }
+
+async function probeUpstream() {
+    if (GRAPHQL_MODE === 'replay') return { status: 'ok', mode: 'replay', note: 'answers come from fixtures' };
+    if (lastProbe && Date.now() - lastProbe.at < READY_PROBE_TTL_MS) return lastProbe.result;
+
+    const started = Date.now();
+    let result;
+    try {
+        // Straight to upstream: no cache, no retries, no circuit breaker
+        await fetchGraphQLOnce('query HealthProbe($cui: ID!) { entity(cui: $cui) { cui } }', { cui: READY_PROBE_CUI });
+        result = { status: 'ok', latencyMs: Date.now() - started };
+    } catch (err) {
+        result = { status: 'fail', latencyMs: Date.now() - started, error: { code: err.code, message: err.message } };
+    }
+    result = { ...result, circuit: breaker.getState(), checkedAt: new Date().toISOString() };
+    lastProbe = { at: Date.now(), result };
+    return result;
+}
+
+app.get('/ready', async (req, res) => {
+    const { entries, oldestFetchedAt, newestFetchedAt } = cache.getStats();
+    const ageSeconds = (t) => (t ? Math.round((Date.now() - t) / 1000) : null);
+    const checks = {
+        upstream: await probeUpstream(),
+        cache: {
+            status: 'ok',
+            disabled: process.env.CACHE_DISABLED === '1' || GRAPHQL_MODE === 'record',
+            entries,
+            oldestAgeSeconds: ageSeconds(oldestFetchedAt),
+            newestAgeSeconds: ageSeconds(newestFetchedAt)
+        },
+        ...checkDataFiles()
+    };
+
+    const statuses = Object.values(checks).map(c => c.status);
+    const status = statuses.includes('fail') ? 'not_ready' : statuses.includes('warn') ? 'degraded' : 'ready';
+    res.status(status === 'not_ready' ? 503 : 200).json({ status, timestamp: new Date().toISOString(), checks });
+});
+
 // Fallback: serve index.html for all non-API routes (SPA)
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'index.html'));
 });
 
 app.listen(PORT, () => {
-    console.info(`CartInspect proxy running on port ${PORT}`);
+    logger.info(`CartInspect proxy running on port ${PORT}`, { port: Number(PORT), graphqlMode: GRAPHQL_MODE });
+});
+
+// Flush the cache to disk on shutdown (Railway sends SIGTERM on redeploy)
+process.on('SIGTERM', () => {
+    cache.save();
+    process.exit(0);
 });
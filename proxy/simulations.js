@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { MAX_HOUSES, MAX_PRICE_PER_IMOBIL, MAX_MONTHLY_RATE } = require('../calc-engine');
+
+const log = createLogger({ fields: { component: 'simulations' } });
+
+// ============================================================
+// Simulation store: the records built by logSimulation() in index.html
+// Append-only JSON Lines file (one record per line), indexed in memory.
+// Records carry a client-generated `id`, so a frontend that re-sends its
+// offline queue never creates duplicates.
+// ============================================================
+
+const REQUIRED_FIELDS = ['created_at', 'county', 'commune', 'device_id'];
+const MAX_PAGE_SIZE = 500;
+
+// Figures /api/report recomputes from (installment plan, cash flow): same limits as /api/calculate
+const BOUNDED_FIELDS = {
+    total_houses: MAX_HOUSES,
+    cost_total_ron: MAX_HOUSES * MAX_PRICE_PER_IMOBIL,
+    monthly_rate_ron: MAX_MONTHLY_RATE
+};
+
+function validateSimulation(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return 'simulation must be an object';
+    const missing = REQUIRED_FIELDS.filter(f => !record[f]);
+    if (missing.length) return `missing fields: ${missing.join(', ')}`;
+    if (Number.isNaN(Date.parse(record.created_at))) return 'created_at must be an ISO date';
+    if (record.id !== undefined && !/^[\w-]{1,64}$/.test(String(record.id))) return 'id must be 1-64 word characters';
+    for (const [field, max] of Object.entries(BOUNDED_FIELDS)) {
+        const v = record[field];
+        if (v != null && !(typeof v === 'number' && v >= 0 && v <= max)) return `${field} must be a number between 0 and ${max}`;
+    }
+    return null;
+}
+
+// "2026-03-10" as an upper bound means the whole day
+function parseBound(value, endOfDay) {
+    if (!value) return null;
+    const iso = /^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value;
+    const t = Date.parse(iso);
+    return Number.isNaN(t) ? null : t;
+}
+
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+function createSimulationStore({ file }) {
+    const records = [];            // in insertion order
+    const byId = new Map();
+
+    try {
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            try {
+                const r = JSON.parse(line);
+                records.push(r);
+                byId.set(r.id, r);
+            } catch (e) {
+                log.warn('Skipping corrupt line', { file });
+            }
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.warn('Could not load simulations', { file, error: e });
+    }
+
+    // Returns { record, created } — created = false when the id was already stored
+    function add(input) {
+        const id = input.id ? String(input.id) : 'sim_' + crypto.randomUUID();
+        if (byId.has(id)) return { record: byId.get(id), created: false };
+
+        const record = { ...input, id, received_at: new Date().toISOString() };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(record) + '\n');
+        records.push(record);
+        byId.set(id, record);
+        return { record, created: true };
+    }
+
+    function get(id) {
+        return byId.get(String(id)) || null;
+    }
+
+    // Filters: agent (name substring), agent_username (exact), county, commune, device_id,
+    // from / to (created_at)
+    // Newest first; returns { total, simulations }
+    function query({ agent, agent_username, county, commune, device_id, from, to, limit, offset } = {}) {
+        const fromT = parseBound(from, false);
+        const toT = parseBound(to, true);
+        const matches = records.filter(r => {
+            if (agent && !fold(r.agent_name).includes(fold(agent))) return false;
+            if (agent_username && r.agent_username !== agent_username) return false;
+            if (county && fold(r.county) !== fold(county)) return false;
+            if (commune && fold(r.commune) !== fold(commune)) return false;
+            if (device_id && r.device_id !== device_id) return false;
+            const t = Date.parse(r.created_at);
+            if (fromT !== null && t < fromT) return false;
+            if (toT !== null && t > toT) return false;
+            return true;
+        }).sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+
+        const start = Math.max(0, parseInt(offset, 10) || 0);
+        const size = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_PAGE_SIZE);
+        return { total: matches.length, simulations: matches.slice(start, start + size) };
+    }
+
+    return { add, get, query };
+}
+
+module.exports = { createSimulationStore, validateSimulation };
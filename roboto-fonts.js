@@ -9,3 +9,8 @@ function registerRobotoFonts(doc) {
     doc.addFileToVFS('Roboto-Bold.ttf', ROBOTO_BOLD_B64);
     doc.addFont('Roboto-Bold.ttf', 'Roboto', 'bold');
 }
+
+// Node (proxy /api/report): same fonts and logo as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { registerRobotoFonts, LOGO_B64 };
+}
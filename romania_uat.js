@@ -3271,3 +3271,5 @@ const ROMANIA_UAT = {
     "Zătreni": { rang: "IV", tip: "comună" }
   }
 };
+
+if (typeof module !== "undefined" && module.exports) module.exports.ROMANIA_UAT = ROMANIA_UAT;
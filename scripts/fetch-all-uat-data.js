@@ -2,6 +2,9 @@
  * Fetches financial (fn:07.01.01 + fn:07.02) and housing data for ALL UATs
  * from transparenta.eu via the local proxy, then writes uat_data.js
  *
+ * Uses the proxy's batch endpoint (one request per county); throttling of
+ * upstream calls is done by the proxy, so there is no sleep loop here.
+ *
  * Usage: node scripts/fetch-all-uat-data.js
  * Requires: local proxy running on port 3001
  */
@@ -10,7 +13,7 @@ const fs = require('fs');
 const path = require('path');
 
 const PROXY = 'http://localhost:3001';
-const DELAY_MS = 800; // Delay between requests to avoid rate limiting
+const BATCH_SIZE = 200; // proxy limit per /api/entity-data/batch request
 const OUTPUT_FILE = path.join(__dirname, '..', 'uat_data.js');
 
 // Load romania_uat.js to get all UATs
@@ -23,27 +26,39 @@ if (!match) {
 }
 const ROMANIA_UAT = new Function('return ' + match[1])();
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function toRecord(data) {
+    if (!data || data.status !== 200) return null;
+    if (!data.financial && !data.housing) return null;
+    return {
+        tax: data.financial?.impozitCladiriFizice || 0,
+        landTax: data.financial?.impozitTerenuri || 0,
+        taxYear: data.financial?.year || null,
+        houses: data.housing?.count || 0,
+        housesYear: data.housing?.year || null
+    };
 }
 
-async function fetchUAT(county, name) {
-    try {
-        const url = `${PROXY}/api/entity-data?county=${encodeURIComponent(county)}&name=${encodeURIComponent(name)}`;
-        const res = await fetch(url, { timeout: 30000 });
-        if (!res.ok) return null;
-        const data = await res.json();
-        if (!data.financial && !data.housing) return null;
-        return {
-            tax: data.financial?.impozitCladiriFizice || 0,
-            landTax: data.financial?.impozitTerenuri || 0,
-            taxYear: data.financial?.year || null,
-            houses: data.housing?.count || 0,
-            housesYear: data.housing?.year || null
-        };
-    } catch (err) {
-        return null;
+// Fetch all UATs of a county via the batch endpoint; returns records in input order
+async function fetchCounty(county, names) {
+    const records = [];
+    for (let i = 0; i < names.length; i += BATCH_SIZE) {
+        const chunk = names.slice(i, i + BATCH_SIZE);
+        try {
+            const res = await fetch(`${PROXY}/api/entity-data/batch`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: chunk.map(name => ({ county, name })) }),
+                signal: AbortSignal.timeout(30 * 60 * 1000)
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            records.push(...data.results.map(toRecord));
+        } catch (err) {
+            console.error(`  ✗ batch failed for ${county}: ${err.message}`);
+            records.push(...chunk.map(() => null));
+        }
     }
+    return records;
 }
 
 async function main() {
@@ -57,31 +72,28 @@ async function main() {
     for (const county of counties) {
         totalUATs += Object.keys(ROMANIA_UAT[county]).length;
     }
-    console.log(`Total UATs to fetch: ${totalUATs}`);
-    console.log(`Estimated time: ~${Math.round(totalUATs * DELAY_MS / 60000)} minutes\n`);
+    console.log(`Total UATs to fetch: ${totalUATs}\n`);
 
     let count = 0;
     for (const county of counties) {
         result[county] = {};
         const uats = Object.keys(ROMANIA_UAT[county]).sort();
+        console.log(`${county} (${uats.length} UATs)...`);
 
-        for (const uat of uats) {
-            count++;
-            process.stdout.write(`[${count}/${totalUATs}] ${county} → ${uat}... `);
-
-            const data = await fetchUAT(county, uat);
+        const records = await fetchCounty(county, uats);
 
+        uats.forEach((uat, i) => {
+            count++;
+            const data = records[i];
             if (data && (data.tax > 0 || data.landTax > 0 || data.houses > 0)) {
                 result[county][uat] = data;
                 fetched++;
-                console.log(`✓ clădiri: ${data.tax.toLocaleString()} RON, terenuri: ${data.landTax.toLocaleString()} RON, ${data.houses} houses`);
+                console.log(`  [${count}/${totalUATs}] ${uat} ✓ clădiri: ${data.tax.toLocaleString()} RON, terenuri: ${data.landTax.toLocaleString()} RON, ${data.houses} houses`);
             } else {
                 failed++;
-                console.log(`✗ no data`);
+                console.log(`  [${count}/${totalUATs}] ${uat} ✗ no data`);
             }
-
-            await sleep(DELAY_MS);
-        }
+        });
     }
 
     // Write output
@@ -0,0 +1,296 @@
+// Test: entity resolution in proxy/server.js, fully offline
+// Starts proxy/mock-graphql.js with in-memory fixtures, points the proxy at it
+// (GRAPHQL_URL) and checks which entity /api/entity-data resolves to.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMockApp } = require('./proxy/mock-graphql');
+const { createCircuitBreaker, upstreamError } = require('./proxy/resilience');
+
+const MOCK_PORT = 4101;
+const PROXY_PORT = 3101;
+
+// Entity nodes as transparenta.eu returns them (only what matching looks at)
+const node = (name, cui, county, uatName, siruta) =>
+    ({ name, cui, uat: { county_name: county, name: uatName, siruta_code: siruta } });
+
+const ENTITIES = [
+    // Homonymous towns in two counties
+    node('ORASUL STEFANESTI', '4122183', 'ARGES', 'STEFANESTI', '13845'),
+    node('ORASUL STEFANESTI', '3372688', 'BOTOSANI', 'STEFANESTI', '36882'),
+    // A school and a public service share the commune's name
+    node('SCOALA GIMNAZIALA SCHEIA', '28340101', 'SUCEAVA', 'SCHEIA', '150086'),
+    node('COMUNA SCHEIA SERVICIUL PUBLIC DE ALIMENTARE CU APA', '28340102', 'SUCEAVA', 'SCHEIA', '150086'),
+    node('COMUNA SCHEIA', '4244288', 'SUCEAVA', 'SCHEIA', '150086'),
+    // Reachable only through entity-overrides.json (name does not match the search)
+    node('UAT ORAS BERESTI', '3346883', 'GALATI', 'BERESTI', '75338'),
+    // Bucharest sectors (romania_uat.js tip "sector")
+    node('PRIMARIA SECTORULUI 3', '4267095', 'BUCURESTI', 'SECTOR 3', '179169'),
+    node('PRIMARIA SECTORULUI 6', '4204925', 'BUCURESTI', 'SECTOR 6', '179196'),
+    // Property tax only from 2024 on the default-selected codes
+    node('COMUNA ALBAC', '4562150', 'ALBA', 'ALBAC', '1213')
+];
+
+// INS LOC101B dwellings: Sector 3 is plausible, Sector 6 carries the whole city's count
+const observation = (siruta, territory, value) =>
+    ({ value: String(value), time_period: { year: 2023 }, territory: { siruta_code: siruta, name_ro: territory } });
+
+const OBSERVATIONS = [
+    observation('179169', 'Sector 3', 160000),
+    observation('179196', 'Sector 6', 900000)
+];
+
+// Collected property tax of one CUI and year, as AggregatedLineItems returns it
+const lineItems = (cui, year, amounts) => ({
+    query: 'query AggregatedLineItems { aggregatedLineItems { nodes { fn_c amount } } }',
+    variables: { filter: { entity_cuis: [cui], report_period: { type: 'YEAR', selection: { interval: { start: String(year), end: String(year) } } } } },
+    data: { aggregatedLineItems: { nodes: Object.entries(amounts).map(([fn_c, amount]) => ({ fn_c, amount })) } }
+});
+
+// The mock's fallback searches every recorded node
+const fixtures = [{
+    query: 'query Seed { entities { nodes { name } } }',
+    variables: {},
+    data: { entities: { nodes: ENTITIES } }
+}, {
+    query: 'query SeedHousing { insObservations { nodes { value } } }',
+    variables: {},
+    data: { insObservations: { nodes: OBSERVATIONS } }
+},
+// 2025 has legal-entity building tax only: not enough to stop at that year
+lineItems('4562150', 2025, { '07.01.02': 50000 }),
+lineItems('4562150', 2024, { '07.01.01': 120000, '07.02.01': 30000 })
+];
+
+const testCases = [
+    { name: 'Homonymous town — Argeș', query: { county: 'Argeș', name: 'Ștefănești' }, expected: { cui: '4122183', resolvedBy: 'search' } },
+    { name: 'Homonymous town — Botoșani', query: { county: 'Botoșani', name: 'Ștefănești' }, expected: { cui: '3372688', resolvedBy: 'search' } },
+    { name: 'School and service rejected', query: { county: 'Suceava', name: 'Șcheia' }, expected: { cui: '4244288', resolvedBy: 'search' } },
+    { name: 'Direct CUI lookup', query: { cui: '3372688' }, expected: { cui: '3372688', resolvedBy: 'cui' } },
+    { name: 'Direct SIRUTA lookup prefers the primărie', query: { siruta: '150086' }, expected: { cui: '4244288', resolvedBy: 'siruta' } },
+    { name: 'Manual override', query: { county: 'Galați', name: 'Berești' }, expected: { cui: '3346883', resolvedBy: 'override' } },
+    { name: 'Unknown UAT', query: { county: 'Cluj', name: 'Nicăieri' }, expected: { status: 404 } }
+];
+
+// Housing cap by UAT type: sectors are capped like a municipiu, not like a commune
+const housingCases = [
+    { name: 'Sector within the cap', query: { county: 'București', name: 'Sector 3' }, expected: { housing: 160000, warnings: 'FINANCIAL_MISSING' } },
+    { name: 'Sector above the cap', query: { county: 'București', name: 'Sector 6' }, expected: { housing: null, warnings: 'HOUSING_EXCEEDS_TYPE_CAP,FINANCIAL_MISSING' } }
+];
+
+// The newest year counts only if the default-selected amounts (07.01.01 or 07.02) are there
+const yearFallbackCase = {
+    name: 'Year without default-selected amounts skipped',
+    query: { county: 'Alba', name: 'Albac' },
+    expected: { year: 2024, total: 150000, warnings: 'STALE_YEAR' }
+};
+
+// Server-side files under the project root must not be downloadable: the SPA
+// fallback answers with index.html instead (proxy/server.js exists in every checkout)
+const PRIVATE_PATHS = [
+    '/proxy/server.js',
+    '/proxy/data/simulations.jsonl',
+    '/proxy/data/model-versions.json',
+    '/proxy/data/agents.json',
+    '/proxy/.cache/graphql-cache.json'
+];
+
+// /api/calculate is public: inputs that would make the installment plan unbounded are refused
+const FINANCIAL = { impozitCladiriFizice: 300000, impozitTerenuri: 100000 };
+const OVERSIZED_INPUTS = [
+    { name: 'huge totalHouses', body: { financial: FINANCIAL, totalHouses: 1e12 } },
+    { name: 'huge monthlyRate', body: { financial: FINANCIAL, totalHouses: 3000, monthlyRate: 1e12 } },
+    { name: 'huge pricePerImobil', body: { financial: FINANCIAL, totalHouses: 3000, pricePerImobil: 1e12 } }
+];
+
+// Circuit breaker races: a call started while the circuit was closed finishes
+// after it opened. Returns [label, actual, expected] checks.
+async function circuitBreakerChecks() {
+    const deferred = () => {
+        let settle;
+        const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+        return { promise, ...settle };
+    };
+    const outage = () => Promise.reject(upstreamError('down', { retryable: true }));
+    const outcome = (promise) => promise.then(() => 'ok', err => err.code);
+    const checks = [];
+
+    // Late non-trial failure while half-open must not let a second trial through
+    let breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    let late = deferred();
+    let lateCall = outcome(breaker.run(() => late.promise));
+    await outcome(breaker.run(outage));
+    const trial = deferred();
+    const trialCall = outcome(breaker.run(() => trial.promise));
+    late.reject(upstreamError('bad query', { code: 'QUERY_ERROR' }));
+    await lateCall;
+    checks.push(['second trial refused', await outcome(breaker.run(() => 'ok')), 'CIRCUIT_OPEN']);
+    trial.resolve();
+    await trialCall;
+    checks.push(['trial success closes', breaker.getState(), 'closed']);
+
+    // Late success must not close an open circuit
+    breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 60000 });
+    late = deferred();
+    lateCall = outcome(breaker.run(() => late.promise));
+    await outcome(breaker.run(outage));
+    late.resolve();
+    await lateCall;
+    checks.push(['late success keeps it open', breaker.getState(), 'open']);
+
+    return checks;
+}
+
+// Login: failed attempts are limited per IP and username
+const ADMIN = { username: 'admin', password: 'correct-horse' };
+const LOGIN_MAX_ATTEMPTS = 3;
+const loginSteps = [
+    { name: 'valid login', body: ADMIN, expected: 200 },
+    ...Array.from({ length: LOGIN_MAX_ATTEMPTS }, (_, i) =>
+        ({ name: `wrong password #${i + 1}`, body: { ...ADMIN, password: 'wrong-password' }, expected: 401 })),
+    { name: 'valid login after the limit', body: ADMIN, expected: 429 }
+];
+
+// Every store the proxy writes lives in dataDir, so a run never touches proxy/.cache or proxy/data
+function startProxy(dataDir) {
+    const proc = spawn(process.execPath, [path.join(__dirname, 'proxy', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(PROXY_PORT),
+            GRAPHQL_URL: `http://localhost:${MOCK_PORT}/graphql`,
+            CACHE_DISABLED: '1',
+            CACHE_FILE: path.join(dataDir, 'graphql-cache.json'),
+            MODEL_VERSIONS_FILE: path.join(dataDir, 'model-versions.json'),
+            AGENTS_FILE: path.join(dataDir, 'agents.json'),
+            SIMULATIONS_FILE: path.join(dataDir, 'simulations.jsonl'),
+            ADMIN_USERNAME: ADMIN.username,
+            ADMIN_PASSWORD: ADMIN.password,
+            LOGIN_MAX_ATTEMPTS: String(LOGIN_MAX_ATTEMPTS)
+        },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    return new Promise((resolve, reject) => {
+        proc.stdout.on('data', chunk => {
+            if (String(chunk).includes('running on port')) resolve(proc);
+        });
+        proc.on('exit', code => reject(new Error(`proxy exited with code ${code}`)));
+    });
+}
+
+async function main() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cartinspect-test-'));
+    const mock = createMockApp({ fixtures }).listen(MOCK_PORT);
+    let proxy = null;
+
+    let passed = 0;
+    let failed = 0;
+
+    try {
+        proxy = await startProxy(dataDir);
+        for (const tc of testCases) {
+            const qs = new URLSearchParams(tc.query).toString();
+            const res = await fetch(`http://localhost:${PROXY_PORT}/api/entity-data?${qs}`);
+            const data = await res.json();
+
+            const checks = tc.expected.status
+                ? [['status', res.status, tc.expected.status]]
+                : [
+                    ['status', res.status, 200],
+                    ['cui', data.entity?.cui, tc.expected.cui],
+                    ['resolvedBy', data.resolvedBy, tc.expected.resolvedBy],
+                    // The fixtures carry no tax data
+                    ['warnings', (data.warnings || []).map(w => w.code).join(','), 'FINANCIAL_MISSING']
+                ];
+
+            console.log(`\n--- ${tc.name} ---`);
+            for (const [label, actual, expected] of checks) {
+                const ok = actual === expected;
+                console.log(`  ${ok ? 'PASS' : 'FAIL'} ${label}: ${actual} (expected ${expected})`);
+                if (ok) passed++; else failed++;
+            }
+        }
+
+        for (const tc of housingCases) {
+            const qs = new URLSearchParams(tc.query).toString();
+            const data = await (await fetch(`http://localhost:${PROXY_PORT}/api/entity-data?${qs}`)).json();
+            console.log(`\n--- ${tc.name} ---`);
+            for (const [label, actual, expected] of [
+                ['housing', data.housing ? data.housing.count : null, tc.expected.housing],
+                ['warnings', (data.warnings || []).map(w => w.code).join(','), tc.expected.warnings]
+            ]) {
+                const ok = actual === expected;
+                console.log(`  ${ok ? 'PASS' : 'FAIL'} ${label}: ${actual} (expected ${expected})`);
+                if (ok) passed++; else failed++;
+            }
+        }
+
+        {
+            const tc = yearFallbackCase;
+            const qs = new URLSearchParams(tc.query).toString();
+            const data = await (await fetch(`http://localhost:${PROXY_PORT}/api/entity-data?${qs}`)).json();
+            console.log(`\n--- ${tc.name} ---`);
+            for (const [label, actual, expected] of [
+                ['year', data.financial?.year, tc.expected.year],
+                ['total', data.financial?.total, tc.expected.total],
+                ['warnings', (data.warnings || []).map(w => w.code).join(','), tc.expected.warnings]
+            ]) {
+                const ok = actual === expected;
+                console.log(`  ${ok ? 'PASS' : 'FAIL'} ${label}: ${actual} (expected ${expected})`);
+                if (ok) passed++; else failed++;
+            }
+        }
+
+        console.log('\n--- Oversized /api/calculate inputs ---');
+        for (const tc of OVERSIZED_INPUTS) {
+            const res = await fetch(`http://localhost:${PROXY_PORT}/api/calculate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(tc.body)
+            });
+            const ok = res.status === 400;
+            console.log(`  ${ok ? 'PASS' : 'FAIL'} ${tc.name}: ${res.status} (expected 400)`);
+            if (ok) passed++; else failed++;
+        }
+
+        console.log('\n--- Circuit breaker ---');
+        for (const [label, actual, expected] of await circuitBreakerChecks()) {
+            const ok = actual === expected;
+            console.log(`  ${ok ? 'PASS' : 'FAIL'} ${label}: ${actual} (expected ${expected})`);
+            if (ok) passed++; else failed++;
+        }
+
+        console.log('\n--- Login attempt limit ---');
+        for (const step of loginSteps) {
+            const res = await fetch(`http://localhost:${PROXY_PORT}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(step.body)
+            });
+            const ok = res.status === step.expected && (res.status !== 429 || Number(res.headers.get('retry-after')) > 0);
+            console.log(`  ${ok ? 'PASS' : 'FAIL'} ${step.name}: ${res.status} (expected ${step.expected})`);
+            if (ok) passed++; else failed++;
+        }
+
+        console.log('\n--- Private files not served ---');
+        for (const p of PRIVATE_PATHS) {
+            const res = await fetch(`http://localhost:${PROXY_PORT}${p}`);
+            const ok = (res.headers.get('content-type') || '').startsWith('text/html');
+            console.log(`  ${ok ? 'PASS' : 'FAIL'} ${p}: ${res.headers.get('content-type')}`);
+            if (ok) passed++; else failed++;
+        }
+    } finally {
+        if (proxy) proxy.kill();
+        mock.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n=== ${passed} passed, ${failed} failed ===`);
+    if (failed > 0) process.exit(1);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -1,12 +1,11 @@
-// Test: calculation model — total × 1.8, nothing else
+// Test: calculation model (calc-engine.js) — total × 1.8, nothing else
 // currentRevenue = impozitCladiriFizice + impozitTerenuri (from transparenta.eu)
 // afterCartInspect = currentRevenue × 1.8
 // cost = totalHouses × 130
 
-const MODEL = {
-    PRICE_PER_IMOBIL: 130,
-    CARTINSPECT_FACTOR: 1.8
-};
+const { calculate, calculateInstallments, comparisonTotals, contractsFor, sensitivity, MAX_CONTRACTS } = require('./calc-engine');
+const { MODEL } = require('./model');
+const { formatPayback } = require('./pdf-report');
 
 const testCases = [
     {
@@ -83,33 +82,245 @@ const testCases = [
     }
 ];
 
+// Per-component selection and the collection scenario
+const collectionCase = {
+    name: 'Components + collection (default target 90%)',
+    inputs: {
+        financial: {
+            year: 2025, impozitCladiriFizice: 300000, impozitTerenuri: 100000, total: 400000,
+            components: { cladiriFizice: 300000, cladiriJuridice: 50000, terenuriFizice: 60000, terenuriJuridice: 0, terenuriExtravilan: 40000 }
+        },
+        totalHouses: 3000,
+        collection: {
+            year: 2025,
+            planned: { total: 550000, components: { cladiriFizice: 400000, cladiriJuridice: 50000, terenuriFizice: 60000, terenuriJuridice: 0, terenuriExtravilan: 40000 } },
+            collected: { total: 450000, components: { cladiriFizice: 300000, cladiriJuridice: 50000, terenuriFizice: 60000, terenuriJuridice: 0, terenuriExtravilan: 40000 } }
+        }
+    },
+    expected: {
+        currentRevenue: 400000, // 07.01.02 (legal entities) is off by default
+        collectionRate: 0.8,
+        targetCollectionRate: 0.9,
+        collectionGainYear: 50000,
+        afterBoth: 810000
+    }
+};
+
+// What-if scenario: conservative uplift, other price, part of the houses inspected
+const scenarioCase = {
+    name: 'Scenario — +40%, 110 RON, 75% of houses',
+    inputs: {
+        financial: { impozitCladiriFizice: 300000, impozitTerenuri: 100000 },
+        totalHouses: 3000,
+        upliftFactor: 1.4, pricePerImobil: 110, coverage: 0.75
+    },
+    expected: {
+        currentRevenue: 400000,
+        afterCartInspect: 520000, // 400.000 × (1 + 0.4 × 0.75)
+        deltaYear: 120000,
+        inspectedHouses: 2250,
+        cost: 247500,
+        simplePaybackYears: 2.0625
+    }
+};
+
+// Low / base / high bands: uplift at half, full and 1.5× strength (×1.4 / ×1.8 / ×2.2)
+const bandCase = {
+    name: 'Bands — default model',
+    inputs: { financial: { impozitCladiriFizice: 300000, impozitTerenuri: 100000 }, totalHouses: 3000 },
+    expected: {
+        low: { upliftFactor: 1.4, afterCartInspect: 560000, delta10Y: 1600000, roi10Y: 3.1026, simplePaybackYears: 2.4375 },
+        base: { upliftFactor: 1.8, afterCartInspect: 720000, delta10Y: 3200000, roi10Y: 7.2051, simplePaybackYears: 1.2188 },
+        high: { upliftFactor: 2.2, afterCartInspect: 880000, delta10Y: 4800000, roi10Y: 11.3077, simplePaybackYears: 0.8125 }
+    }
+};
+
+// Sensitivity (±20%): ROI hinges on the uplift; the monthly rate moves payback only
+const sensitivityCase = {
+    name: 'Sensitivity — default model, 5.000 RON/month',
+    inputs: { financial: { impozitCladiriFizice: 300000, impozitTerenuri: 100000 }, totalHouses: 3000 },
+    monthlyRate: 5000,
+    expected: {
+        topRoiDriver: 'upliftFactor',
+        topPaybackDriver: 'upliftFactor',
+        upliftRoiLow: 3.5128, // ×1.44
+        upliftRoiHigh: 10.8974, // ×2.16
+        monthlyRateRoiSwing: 0,
+        basePaybackYears: 0.8 // 60.000 paid during delivery, back at 26.667 − 10.000 per month after it
+    }
+};
+
+// Comparison: two communes pitched together, one without a housing count,
+// both pinned at 5.000 RON/month
+const comparisonCase = {
+    name: 'Comparison totals — 2 UATs',
+    monthlyRate: 5000,
+    rows: [
+        { financial: { impozitCladiriFizice: 300000, impozitTerenuri: 100000 }, totalHouses: 3000 },
+        { financial: { impozitCladiriFizice: 100000, impozitTerenuri: 0 }, totalHouses: 0 }
+    ],
+    expected: {
+        uats: 2,
+        currentRevenue: 500000,
+        deltaYear: 400000,
+        cost: 390000,
+        roi10Y: 7.2051, // (3.200.000 − 390.000) / 390.000, only the UAT with houses
+        paybackYears: 0.8, // cash flow of the UAT with houses: same as the default-model case below
+        npv: 2349050.19,
+        irr: 6.4289,
+        taxPerHouse: 133.33
+    }
+};
+
+// Installment plans: contracts of max 270.000 RON running in parallel
+const installmentCases = [
+    {
+        name: 'Installments — municipiu, 8 contracts',
+        houses: 15000, landTax: 563698, tax: 454325, monthlyRate: 5000,
+        expected: { contracts: 8, totalMonthlyPayment: 40000, longestMonths: 54, totalCost: 1950000, breakevenYears: 1.1738, surplusCoversPayment: true }
+    },
+    {
+        name: 'Installments — comună, 1 contract',
+        houses: 2000, landTax: 30000, tax: 80000, monthlyRate: 5000,
+        expected: { contracts: 1, totalMonthlyPayment: 5000, longestMonths: 52, totalCost: 260000, breakevenYears: 1.5222, surplusCoversPayment: true }
+    },
+    {
+        name: 'Installments — surplus below the rate',
+        houses: 2000, landTax: 0, tax: 50000, monthlyRate: 15000,
+        expected: { contracts: 1, totalMonthlyPayment: 15000, longestMonths: 18, totalCost: 270000, breakevenYears: 6.6546, surplusCoversPayment: false }
+    }
+];
+
+// Cash flow: 320.000 RON/year surplus after 6 months, 2 contracts × 5.000 RON/month (54 + 24 months)
+const cashFlowCases = [
+    {
+        name: 'Cash flow — no discounting, no inflation',
+        model: { DISCOUNT_RATE: 0, INFLATION_RATE: 0 },
+        expected: {
+            npv: 2650000, // 9,5 × 320.000 − 390.000
+            irr: 6.2494, // NPV at this rate ≈ 0
+            paybackYears: 0.8,
+            discountedPaybackYears: 0.8,
+            year2Inflow: 320000
+        }
+    },
+    {
+        name: 'Cash flow — default model (5% discount, 3% inflation)',
+        model: {},
+        expected: {
+            npv: 2349050.19,
+            irr: 6.4289,
+            paybackYears: 0.8,
+            discountedPaybackYears: 0.806,
+            year2Inflow: 329600 // indexed once
+        }
+    }
+];
+
 let passed = 0;
 let failed = 0;
 
+function check(label, actual, expected) {
+    const ok = typeof expected === 'number' ? Math.abs(actual - expected) < 0.1 : actual === expected;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'} ${label}: ${actual} (expected ${expected})`);
+    if (ok) passed++; else failed++;
+}
+
+const financialOf = (tc) => ({ impozitCladiriFizice: tc.tax, impozitTerenuri: tc.landTax });
+
 for (const tc of testCases) {
-    const currentRevenue = tc.tax + tc.landTax;
-    const afterCartInspect = currentRevenue * MODEL.CARTINSPECT_FACTOR;
-    const deltaYear = afterCartInspect - currentRevenue;
-    const delta10Y = deltaYear * 10;
-    const cost = tc.houses * MODEL.PRICE_PER_IMOBIL;
-    const roi10Y = cost > 0 ? (delta10Y - cost) / cost : 0;
-    const paybackYears = deltaYear > 0 ? cost / deltaYear : Infinity;
-
-    const checks = [
-        ['currentRevenue', currentRevenue, tc.expected.currentRevenue],
-        ['afterCartInspect', afterCartInspect, tc.expected.afterCartInspect],
-        ['deltaYear', deltaYear, tc.expected.deltaYear],
-        ['cost', cost, tc.expected.cost],
-    ];
+    const r = calculate({ financial: financialOf(tc), totalHouses: tc.houses });
 
     console.log(`\n--- ${tc.name} ---`);
-    for (const [label, actual, expected] of checks) {
-        const ok = Math.abs(actual - expected) < 0.1;
-        console.log(`  ${ok ? 'PASS' : 'FAIL'} ${label}: ${actual} (expected ${expected})`);
-        if (ok) passed++; else failed++;
+    check('currentRevenue', r.currentRevenue, tc.expected.currentRevenue);
+    check('afterCartInspect', r.afterCartInspect, tc.expected.afterCartInspect);
+    check('deltaYear', r.deltaYear, tc.expected.deltaYear);
+    check('cost', r.cost, tc.expected.cost);
+    console.log(`  ROI 10Y: ${Math.round(r.roi10Y * 100)}%`);
+    console.log(`  Simple payback: ${r.simplePaybackYears === Infinity ? '∞' : r.simplePaybackYears.toFixed(1)} years`);
+}
+
+{
+    const r = calculate(collectionCase.inputs);
+    console.log(`\n--- ${collectionCase.name} ---`);
+    for (const [field, expected] of Object.entries(collectionCase.expected)) check(field, r[field], expected);
+}
+
+{
+    const r = calculate(scenarioCase.inputs);
+    console.log(`\n--- ${scenarioCase.name} ---`);
+    for (const [field, expected] of Object.entries(scenarioCase.expected)) check(field, r[field], expected);
+}
+
+{
+    const r = calculate(bandCase.inputs);
+    console.log(`\n--- ${bandCase.name} ---`);
+    for (const [band, fields] of Object.entries(bandCase.expected)) {
+        for (const [field, expected] of Object.entries(fields)) {
+            const actual = Math.round(r.bands[band][field] * 10000) / 10000;
+            check(`${band}.${field}`, actual, expected);
+        }
     }
-    console.log(`  ROI 10Y: ${Math.round(roi10Y * 100)}%`);
-    console.log(`  Payback: ${paybackYears === Infinity ? '∞' : paybackYears.toFixed(1)} years`);
+}
+
+{
+    const s = sensitivity(calculate(sensitivityCase.inputs), sensitivityCase.monthlyRate);
+    const byInput = (list, input) => list.find(d => d.input === input);
+    const e = sensitivityCase.expected;
+    console.log(`\n--- ${sensitivityCase.name} ---`);
+    check('top ROI driver', s.roi10Y[0].input, e.topRoiDriver);
+    check('top payback driver', s.paybackYears[0].input, e.topPaybackDriver);
+    check('uplift −20% ROI', byInput(s.roi10Y, 'upliftFactor').low, e.upliftRoiLow);
+    check('uplift +20% ROI', byInput(s.roi10Y, 'upliftFactor').high, e.upliftRoiHigh);
+    check('monthly rate ROI swing', byInput(s.roi10Y, 'monthlyRate').swing, e.monthlyRateRoiSwing);
+    check('base payback', s.base.paybackYears, e.basePaybackYears);
+}
+
+{
+    const t = comparisonTotals(comparisonCase.rows.map(inputs => ({ ...calculate(inputs), monthlyRate: comparisonCase.monthlyRate })));
+    console.log(`\n--- ${comparisonCase.name} ---`);
+    for (const [field, expected] of Object.entries(comparisonCase.expected)) check(field, t[field], expected);
+}
+
+for (const tc of installmentCases) {
+    const plan = calculateInstallments(calculate({ financial: financialOf(tc), totalHouses: tc.houses }), tc.monthlyRate);
+    console.log(`\n--- ${tc.name} ---`);
+    check('contracts', plan.contracts.length, tc.expected.contracts);
+    for (const field of ['totalMonthlyPayment', 'longestMonths', 'totalCost', 'surplusCoversPayment']) {
+        check(field, plan[field], tc.expected[field]);
+    }
+    check('breakevenYears', Math.round(plan.breakevenYears * 10000) / 10000, tc.expected.breakevenYears);
+}
+
+for (const tc of cashFlowCases) {
+    const results = calculate({ financial: { impozitCladiriFizice: 300000, impozitTerenuri: 100000 }, totalHouses: 3000 });
+    const flow = calculateInstallments(results, 5000, { ...MODEL, ...tc.model }).cashFlow;
+    console.log(`\n--- ${tc.name} ---`);
+    for (const field of ['npv', 'irr', 'paybackYears', 'discountedPaybackYears']) check(field, flow[field], tc.expected[field]);
+    check('year 2 inflow', flow.years[1].inflow, tc.expected.year2Inflow);
+}
+
+{
+    console.log('\n--- Contract limit ---');
+    check('contracts at the limit', contractsFor(MAX_CONTRACTS * MODEL.MAX_CONTRACT, 5000).length, MAX_CONTRACTS);
+    let error = null;
+    try {
+        contractsFor(1e12 * MODEL.PRICE_PER_IMOBIL, 5000);
+    } catch (err) {
+        error = err;
+    }
+    check('huge cost refused', error instanceof RangeError, true);
+}
+
+{
+    console.log('\n--- Payback wording ---');
+    const free = calculateInstallments(calculate({ financial: { impozitCladiriFizice: 1000000 }, totalHouses: 0 }), 5000);
+    check('zero-cost plan: engine payback', free.breakevenYears, 0);
+    check('zero-cost plan: no payback', formatPayback(free.breakevenYears), '-');
+    check('never recovered', formatPayback(Infinity), '-');
+    check('one month', formatPayback(1 / 12), '1 lună');
+    check('several months', formatPayback(0.5), '6 luni');
+    check('years', formatPayback(2.25), '2.3 ani');
 }
 
 console.log(`\n=== ${passed} passed, ${failed} failed ===`);
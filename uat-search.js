@@ -0,0 +1,76 @@
+// ============================================================
+// UAT SEARCH — shared by the calculator's UAT picker and the proxy (/api/uats)
+// Matches across all counties, ignoring case, diacritics (ș/ş, ț/ţ, ă, â, î)
+// and separators: "scheia" → Șcheia, "cluj napoca" → Cluj-Napoca.
+// Plain globals in the browser, CommonJS exports in Node.
+// ============================================================
+
+// "Șcheia" → "scheia", "Bistrița-Năsăud" → "bistrita nasaud"
+function normalizeUatName(s) {
+    return String(s || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+const UAT_TIP_ORDER = { municipiu: 0, 'oraș': 1, 'comună': 2 };
+
+// ROMANIA_UAT → flat list, normalized once
+function buildUatIndex(romaniaUat) {
+    const index = [];
+    for (const [county, uats] of Object.entries(romaniaUat)) {
+        const countyKey = normalizeUatName(county);
+        for (const [name, info] of Object.entries(uats)) {
+            const key = normalizeUatName(name);
+            index.push({ county, name, tip: info.tip, rang: info.rang, key, compact: key.replace(/ /g, ''), countyKey });
+        }
+    }
+    return index;
+}
+
+// Lower is better; null = no match.
+//   0 exact name · 1 name prefix · 2 prefix of a later word · 3 anywhere in the name
+//   4 every query word starts a word of "name county" ("scheia suceava", "stefanesti arges")
+function matchScore(entry, q, qCompact, qWords) {
+    if (entry.key === q) return 0;
+    if (entry.key.startsWith(q)) return 1;
+    if ((' ' + entry.key).includes(' ' + q)) return 2;
+    if (entry.compact.includes(qCompact)) return 3;
+    if (qWords.length > 1) {
+        const words = (entry.key + ' ' + entry.countyKey).split(' ');
+        if (qWords.every(w => words.some(x => x.startsWith(w)))) return 4;
+    }
+    return null;
+}
+
+// Returns [{ county, name, tip, rang }], best first.
+// Ties: bigger UATs first (municipiu → oraș → comună), then shorter, then alphabetical.
+function searchUats(index, query, { limit = 10, county } = {}) {
+    const q = normalizeUatName(query);
+    if (!q) return [];
+    const countyKey = county ? normalizeUatName(county) : null;
+    const qWords = q.split(' ');
+    const qCompact = q.replace(/ /g, '');
+
+    const hits = [];
+    for (const entry of index) {
+        if (countyKey && entry.countyKey !== countyKey) continue;
+        const score = matchScore(entry, q, qCompact, qWords);
+        if (score !== null) hits.push({ entry, score });
+    }
+    hits.sort((a, b) =>
+        a.score - b.score ||
+        (UAT_TIP_ORDER[a.entry.tip] ?? 3) - (UAT_TIP_ORDER[b.entry.tip] ?? 3) ||
+        a.entry.key.length - b.entry.key.length ||
+        a.entry.name.localeCompare(b.entry.name, 'ro') ||
+        a.entry.county.localeCompare(b.entry.county, 'ro'));
+
+    return hits.slice(0, limit).map(({ entry }) => ({
+        county: entry.county, name: entry.name, tip: entry.tip, rang: entry.rang
+    }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeUatName, buildUatIndex, searchUats };
+}